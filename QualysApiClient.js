@@ -0,0 +1,434 @@
+/**
+ * QualysApiClient
+ *
+ * Script Include wrapping the Qualys VM API for the exception integration.
+ * Every request goes through request() (post() for the usual form POST, postXml() for
+ * the Asset Management API's ServiceRequest bodies), which
+ * returns the response body or throws a QualysApiClient.ApiError describing why
+ * Qualys refused it. Credentials are only handed to setBasicAuth and never logged.
+ *
+ * Features:
+ * - Parses SIMPLE_RETURN error responses (<RESPONSE><CODE>/<TEXT>) even when
+ *   they arrive with HTTP 200
+ * - Classifies failures as auth, concurrency, rate_limit, invalid_request,
+ *   unavailable, http, network or empty
+ * - Flags retryable conditions so callers can tell a busy API from a broken setup
+ * - Retries transient failures with exponential backoff
+ * - Tracks the X-RateLimit-* / X-Concurrency-Limit-* budget, waiting before a call
+ *   when it is exhausted, or deferring the call if the wait would be too long
+ *
+ * Usage:
+ *   var client = new QualysApiClient({ baseUrl: url, username: user, password: pass, log: this.log,
+ *                                      maxAttempts: 4, retryBaseSeconds: 10 });
+ *   client.testConnection();    // { version } or throws
+ *   try {
+ *       var body = client.post('/api/2.0/fo/knowledge_base/vuln/', 'action=list&ids=1', 'KB batch');
+ *   } catch (ex) {
+ *       if (ex instanceof QualysApiClient.ApiError && ex.retryable) { ... }
+ *   }
+ */
+
+var QualysApiClient = Class.create();
+
+// Qualys SIMPLE_RETURN codes with a known meaning - anything else is kind 'api'
+QualysApiClient.ERROR_CODES = {
+    '999':  { kind: 'unavailable', retryable: true },      // Internal error
+    '1901': { kind: 'invalid_request', retryable: false }, // Unrecognized parameter
+    '1903': { kind: 'invalid_request', retryable: false }, // Missing required parameter
+    '1904': { kind: 'invalid_request', retryable: false }, // Invalid parameter value
+    '1905': { kind: 'invalid_request', retryable: false }, // Parameter value out of range
+    '1960': { kind: 'concurrency', retryable: true },      // Concurrency limit reached
+    '1965': { kind: 'rate_limit', retryable: true },       // Rate limit exceeded
+    '1999': { kind: 'unavailable', retryable: true },      // API temporarily unavailable
+    '2000': { kind: 'auth', retryable: false },            // Bad login/password
+    '2002': { kind: 'auth', retryable: false },            // Account inactive
+    '2003': { kind: 'auth', retryable: false },            // Registration not completed
+    '2011': { kind: 'auth', retryable: false },            // Account has no API access
+    '2012': { kind: 'auth', retryable: false }             // Account locked
+};
+
+/**
+ * Error raised for any failed Qualys request
+ * @param {Object} details - { kind, code, httpStatus, text, retryable, deferred, label }
+ *   deferred - the call was not made (or not retried) because the rate limit wait was too long
+ */
+QualysApiClient.ApiError = function(details) {
+    this.kind = details.kind;
+    this.code = details.code || null;
+    this.httpStatus = details.httpStatus || null;
+    this.text = details.text || '';
+    this.retryable = !!details.retryable;
+    this.deferred = !!details.deferred;
+    this.attempts = 1;
+    this.label = details.label || '';
+    this.message = (this.label ? this.label + ': ' : '') + 'Qualys API error' +
+                   (this.code ? ' ' + this.code : '') +
+                   ' (' + this.kind + (this.httpStatus ? ', HTTP ' + this.httpStatus : '') + ')' +
+                   (this.text ? ' - ' + this.text : '');
+};
+
+QualysApiClient.ApiError.prototype = {
+    name: 'QualysApiError',
+    
+    getMessage: function() {
+        return this.message;
+    },
+    
+    toString: function() {
+        return this.message;
+    },
+    
+    /**
+     * Plain object for run results and logs
+     */
+    toObject: function() {
+        return {
+            kind: this.kind,
+            code: this.code,
+            httpStatus: this.httpStatus,
+            text: this.text,
+            retryable: this.retryable,
+            deferred: this.deferred,
+            attempts: this.attempts
+        };
+    }
+};
+
+QualysApiClient.prototype = {
+
+    /**
+     * @param {Object} config - { baseUrl, username, password, log } plus optional
+     *   source - where the credentials came from, logged in their place,
+     *   maxAttempts (4), retryBaseSeconds (10), retryMaxSeconds (300),
+     *   rateLimitReserve (1) - wait once X-RateLimit-Remaining drops to this,
+     *   maxWaitSeconds (300) - defer instead of waiting longer than this
+     */
+    initialize: function(config) {
+        this.baseUrl = String(config.baseUrl || '').replace(/\/+$/, '');
+        this.username = config.username;
+        this.password = config.password;
+        this.source = config.source || '';
+        this.log = config.log || new GSLog('com.qualys.integration', 'QualysApiClient');
+        
+        this.maxAttempts = config.maxAttempts || 4;
+        this.retryBaseSeconds = config.retryBaseSeconds || 10;
+        this.retryMaxSeconds = config.retryMaxSeconds || 300;
+        this.rateLimitReserve = config.rateLimitReserve === undefined ? 1 : config.rateLimitReserve;
+        this.maxWaitSeconds = config.maxWaitSeconds || 300;
+        
+        // Latest values reported by Qualys (null until a response carries the header)
+        this.budget = {
+            rateLimit: null,
+            windowSeconds: null,
+            remaining: null,
+            toWaitSeconds: null,
+            concurrencyLimit: null,
+            concurrencyRunning: null,
+            reportedAt: 0,
+            requests: 0,
+            retries: 0,
+            waitedSeconds: 0
+        };
+    },
+    
+    /**
+     * POST a form-encoded request to a Qualys API path
+     * @param {string} path - API path, e.g. '/api/2.0/fo/asset/host/vm/detection/'
+     * @param {string} params - Form-encoded request parameters
+     * @param {string} label - What is being requested (for logs and errors)
+     * @returns {string} Response body
+     * @throws {QualysApiClient.ApiError} See request()
+     */
+    post: function(path, params, label) {
+        return this.request('POST', path, params, label);
+    },
+    
+    /**
+     * POST an XML body to a Qualys API path, e.g. a ServiceRequest to '/qps/rest/2.0/search/am/hostasset'
+     * The Asset Management API reports failures in a ServiceResponse responseCode rather than a
+     * SIMPLE_RETURN, so callers check that themselves.
+     * @param {string} path - API path
+     * @param {string} xml - Request body
+     * @param {string} label - What is being requested (for logs and errors)
+     * @returns {string} Response body
+     * @throws {QualysApiClient.ApiError} See request()
+     */
+    postXml: function(path, xml, label) {
+        return this.request('POST', path, xml, label, 'text/xml');
+    },
+    
+    /**
+     * Check that the endpoint answers and accepts the credentials
+     * Uses /msp/about.php, which returns version details and does not touch scan data.
+     * @returns {Object} { version } - Qualys web version ('' if not reported)
+     * @throws {QualysApiClient.ApiError} If the connection or the login fails
+     */
+    testConnection: function() {
+        var body = this.request('GET', '/msp/about.php', '', 'Test connection');
+        var version = /<WEB-VERSION>\s*([^<]*?)\s*<\/WEB-VERSION>/.exec(body);
+        return { version: version ? version[1] : '' };
+    },
+    
+    /**
+     * Send a request to a Qualys API path
+     * Waits for the rate limit budget first and retries transient failures
+     * (network, 409, 5xx, concurrency/rate limit codes) with exponential backoff.
+     * @param {string} method - 'GET' or 'POST'
+     * @param {string} path - API path
+     * @param {string} params - Form-encoded parameters (query string for GET, body for POST)
+     * @param {string} label - What is being requested (for logs and errors)
+     * @param {string} contentType - POST body type (default form-encoded)
+     * @returns {string} Response body
+     * @throws {QualysApiClient.ApiError} On a fatal error, a transient one that outlasts
+     *   maxAttempts, or a deferred call
+     */
+    request: function(method, path, params, label, contentType) {
+        for (var attempt = 1; ; attempt++) {
+            this._waitForBudget(label);
+            
+            try {
+                return this._send(method, path, params, label, contentType);
+            } catch (ex) {
+                if (!(ex instanceof QualysApiClient.ApiError)) throw ex;
+                ex.attempts = attempt;
+                if (!ex.retryable || attempt >= this.maxAttempts) throw ex;
+                
+                var delay = this._retryDelaySeconds(attempt, ex);
+                if (delay > this.maxWaitSeconds) {
+                    ex.deferred = true;
+                    throw ex;
+                }
+                
+                this.log.warn(ex.getMessage() + ' - retry ' + attempt + '/' + (this.maxAttempts - 1) + ' in ' + delay + 's');
+                this.budget.retries++;
+                this._sleep(delay);
+            }
+        }
+    },
+    
+    /**
+     * Remaining API budget as last reported by Qualys, plus this client's usage
+     * @returns {Object} Copy of this.budget
+     */
+    getBudget: function() {
+        var copy = {};
+        for (var key in this.budget) {
+            copy[key] = this.budget[key];
+        }
+        return copy;
+    },
+    
+    /**
+     * One-line summary of getBudget() for logs
+     */
+    describeBudget: function() {
+        var b = this.budget;
+        return 'rate limit ' + (b.remaining === null ? 'not reported' : b.remaining + ' of ' + b.rateLimit + ' calls left per ' +
+               b.windowSeconds + 's window') +
+               ' | concurrency ' + (b.concurrencyRunning === null ? 'not reported' : b.concurrencyRunning + '/' + b.concurrencyLimit + ' running') +
+               ' | ' + b.requests + ' requests, ' + b.retries + ' retries, ' + b.waitedSeconds + 's waited';
+    },
+    
+    /**
+     * Make one request
+     * @returns {string} Response body
+     * @throws {QualysApiClient.ApiError} On network, HTTP or SIMPLE_RETURN errors, or an empty body
+     */
+    _send: function(method, path, params, label, contentType) {
+        var request = new sn_ws.RESTMessageV2();
+        request.setHttpMethod(method);
+        request.setBasicAuth(this.username, this.password);
+        request.setRequestHeader('X-Requested-With', 'ServiceNow');
+        
+        if (method === 'GET') {
+            request.setEndpoint(this.baseUrl + path + (params ? '?' + params : ''));
+        } else {
+            request.setEndpoint(this.baseUrl + path);
+            request.setRequestHeader('Content-Type', contentType || 'application/x-www-form-urlencoded');
+            request.setRequestBody(params);
+        }
+        
+        var response;
+        this.budget.requests++;
+        try {
+            response = request.execute();
+        } catch (ex) {
+            throw new QualysApiClient.ApiError({
+                kind: 'network',
+                text: ex.getMessage ? ex.getMessage() : String(ex),
+                retryable: true,
+                label: label
+            });
+        }
+        
+        var httpStatus = response.getStatusCode();
+        var body = response.getBody();
+        this._recordBudget(response);
+        
+        this.log.info(label + ' HTTP Status: ' + httpStatus +
+                     ' | Response size: ' + (body ? Math.round(body.length / 1024) + ' KB' : '0 KB'));
+        
+        // Qualys explains most refusals in a SIMPLE_RETURN body, whatever the HTTP status
+        var simpleReturn = this._parseSimpleReturn(body);
+        if (simpleReturn) {
+            throw this._errorFor(simpleReturn.code, httpStatus, simpleReturn.text, label);
+        }
+        
+        if (httpStatus !== 200) {
+            throw this._errorFor(null, httpStatus, '', label);
+        }
+        
+        if (!body || String(body).trim() === '') {
+            throw new QualysApiClient.ApiError({
+                kind: 'empty',
+                httpStatus: httpStatus,
+                text: 'Empty response body',
+                retryable: true,
+                label: label
+            });
+        }
+        
+        return body;
+    },
+    
+    /**
+     * Update the budget from the rate limit and concurrency headers of a response
+     * @param {RESTResponseV2} response
+     */
+    _recordBudget: function(response) {
+        var headers = {
+            rateLimit: 'X-RateLimit-Limit',
+            windowSeconds: 'X-RateLimit-Window-Sec',
+            remaining: 'X-RateLimit-Remaining',
+            toWaitSeconds: 'X-RateLimit-ToWait-Sec',
+            concurrencyLimit: 'X-Concurrency-Limit-Limit',
+            concurrencyRunning: 'X-Concurrency-Limit-Running'
+        };
+        
+        for (var key in headers) {
+            var value = response.getHeader(headers[key]);
+            if (value !== null && value !== undefined && /^\s*\d+\s*$/.test(String(value))) {
+                this.budget[key] = parseInt(value, 10);
+            }
+        }
+        this.budget.reportedAt = new Date().getTime();
+        
+        if (this.budget.remaining !== null && this.budget.remaining <= this.rateLimitReserve) {
+            this.log.warn('Qualys rate limit nearly exhausted: ' + this.describeBudget());
+        }
+    },
+    
+    /**
+     * Wait before a call if the last response said the budget is used up or every concurrency slot is taken
+     * @throws {QualysApiClient.ApiError} Deferred rate_limit error if the wait exceeds maxWaitSeconds
+     */
+    _waitForBudget: function(label) {
+        var b = this.budget;
+        var wait = 0;
+        var reason = '';
+        
+        if (b.remaining !== null && b.remaining <= this.rateLimitReserve && b.toWaitSeconds > 0) {
+            // ToWait is counted from the response that reported it
+            wait = b.toWaitSeconds - Math.floor((new Date().getTime() - b.reportedAt) / 1000);
+            reason = b.remaining + ' calls left in the rate limit window';
+        } else if (b.concurrencyLimit !== null && b.concurrencyRunning >= b.concurrencyLimit) {
+            wait = this.retryBaseSeconds;
+            reason = 'all ' + b.concurrencyLimit + ' concurrency slots were in use';
+        }
+        
+        if (wait <= 0) return;
+        
+        if (wait > this.maxWaitSeconds) {
+            throw new QualysApiClient.ApiError({
+                kind: 'rate_limit',
+                text: reason + ' - next call allowed in ' + wait + 's, deferred',
+                retryable: true,
+                deferred: true,
+                label: label
+            });
+        }
+        
+        this.log.info(label + ': waiting ' + wait + 's - ' + reason);
+        this._sleep(wait);
+    },
+    
+    /**
+     * Backoff before retry n: retryBaseSeconds doubled per attempt, at least what Qualys asked to wait
+     */
+    _retryDelaySeconds: function(attempt, error) {
+        var delay = Math.min(this.retryBaseSeconds * Math.pow(2, attempt - 1), this.retryMaxSeconds);
+        
+        if ((error.kind === 'rate_limit' || error.kind === 'concurrency') && this.budget.toWaitSeconds > delay) {
+            delay = this.budget.toWaitSeconds;
+        }
+        
+        return delay;
+    },
+    
+    /**
+     * Block the current transaction for a number of seconds
+     * Any wait covers what Qualys last asked for - the next response reports the new budget.
+     */
+    _sleep: function(seconds) {
+        gs.sleep(seconds * 1000);
+        this.budget.waitedSeconds += seconds;
+        this.budget.toWaitSeconds = 0;
+        this.budget.concurrencyRunning = null;
+    },
+    
+    /**
+     * Read CODE and TEXT from a SIMPLE_RETURN response
+     * Only the head of the body is inspected - data responses start with their own root element.
+     * @param {string} body - Response body
+     * @returns {Object|null} { code, text } or null if the body is not a SIMPLE_RETURN
+     */
+    _parseSimpleReturn: function(body) {
+        if (!body) return null;
+        
+        var head = String(body).substring(0, 2048);
+        if (head.indexOf('<SIMPLE_RETURN') === -1) return null;
+        
+        var codeMatch = /<CODE>\s*(?:<!\[CDATA\[)?\s*(\d+)/.exec(head);
+        var textMatch = /<TEXT>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/TEXT>/.exec(head);
+        
+        return {
+            code: codeMatch ? codeMatch[1] : null,
+            text: textMatch ? textMatch[1].trim() : 'Unrecognized SIMPLE_RETURN response'
+        };
+    },
+    
+    /**
+     * Build a typed error from a Qualys code and/or HTTP status
+     */
+    _errorFor: function(code, httpStatus, text, label) {
+        var known = code ? QualysApiClient.ERROR_CODES[code] : null;
+        var kind = known ? known.kind : 'api';
+        var retryable = known ? known.retryable : false;
+        
+        if (!known) {
+            if (httpStatus === 401 || httpStatus === 403) {
+                kind = 'auth';
+            } else if (httpStatus === 409) {
+                // Qualys answers 409 when a concurrency or rate limit is hit
+                kind = 'rate_limit';
+                retryable = true;
+            } else if (httpStatus >= 500 || httpStatus === 0) {
+                kind = 'unavailable';
+                retryable = true;
+            } else if (!code) {
+                kind = 'http';
+            }
+        }
+        
+        return new QualysApiClient.ApiError({
+            kind: kind,
+            code: code,
+            httpStatus: httpStatus,
+            text: text,
+            retryable: retryable,
+            label: label
+        });
+    },
+    
+    type: 'QualysApiClient'
+};
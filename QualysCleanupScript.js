@@ -2,26 +2,44 @@
  * Qualys RITM Cleanup Script
  * 
  * HOW TO USE:
- * 1. Update CATALOG_ITEM_SYS_ID below
+ * 1. Set the qualys.integration.catalog_item_sys_id system property
+ *    (shared with QualysExceptionIntegration through QualysIntegrationConfig)
  * 2. Run in Scripts - Background
  * 3. By default, runs DRY RUN showing what would be deleted
  * 4. To actually delete, change DELETE_MODE to true
+ * 
+ * With FILTER 'all' and RESET_RUN_DATA the integration's run data is emptied too
+ * (QID cursor, detection snapshot, run history, unmatched host queue, run locks),
+ * so the next run starts a new cycle with a full pull. Do not reset while a run is going.
  */
 
 // ============================================================
 // CONFIGURATION - UPDATE THESE
 // ============================================================
 
-var CATALOG_ITEM_SYS_ID = 'YOUR_CATALOG_ITEM_SYS_ID';  // <-- PUT YOUR SYS_ID HERE
-
 var DELETE_MODE = false;  // false = DRY RUN (safe), true = ACTUALLY DELETE
 
 var FILTER = 'all';  // Options: 'all', 'today', 'test_only'
 
+var RESET_RUN_DATA = true;  // FILTER 'all' only: also empty RUN_DATA_TABLES for a clean slate
+
+// Integration tracking tables - must match QualysExceptionIntegration
+var TRACKING_TABLES = ['u_qualys_ritm_host', 'u_qualys_ritm_state'];
+
+// Integration run data - RUN_STATE_TABLE, DETECTION_TABLE, PULL_STATE_TABLE, RUN_HISTORY_TABLE,
+// RUN_OUTCOME_TABLE, UNMATCHED_HOST_TABLE and RUN_LOCK_TABLE of QualysExceptionIntegration
+var RUN_DATA_TABLES = ['u_qualys_run_state', 'u_qualys_detection', 'u_qualys_pull_state', 'u_qualys_run_history',
+                       'u_qualys_run_outcome', 'u_qualys_unmatched_host', 'u_qualys_run_lock'];
+
 // ============================================================
 // SCRIPT STARTS HERE - DO NOT MODIFY BELOW
 // ============================================================
 
+// Catalog item comes from the same system property the integration uses
+var config = new QualysIntegrationConfig().load();
+var configErrors = config.validate(['CATALOG_ITEM_SYS_ID']);
+var CATALOG_ITEM_SYS_ID = config.get('CATALOG_ITEM_SYS_ID');
+
 gs.info('');
 gs.info('╔════════════════════════════════════════════════════════════╗');
 gs.info('║           QUALYS RITM CLEANUP SCRIPT                       ║');
@@ -30,12 +48,14 @@ gs.info('');
 gs.info('Configuration:');
 gs.info('  Catalog Item: ' + CATALOG_ITEM_SYS_ID);
 gs.info('  Filter: ' + FILTER);
+gs.info('  Reset run data: ' + (RESET_RUN_DATA && FILTER === 'all' ? 'yes' : 'no'));
 gs.info('  Mode: ' + (DELETE_MODE ? '*** DELETE MODE - WILL DELETE RECORDS ***' : 'DRY RUN (safe preview)'));
 gs.info('');
 
 // Validate sys_id
-if (CATALOG_ITEM_SYS_ID === 'YOUR_CATALOG_ITEM_SYS_ID' || !CATALOG_ITEM_SYS_ID) {
-    gs.error('ERROR: You must set CATALOG_ITEM_SYS_ID before running this script!');
+if (configErrors.length > 0) {
+    gs.error('ERROR: ' + configErrors.join('; '));
+    gs.error('Set ' + config.getPropertyName('CATALOG_ITEM_SYS_ID') + ' before running this script!');
     gs.info('');
     gs.info('To find your catalog item sys_id, run this:');
     gs.info('  var gr = new GlideRecord("sc_cat_item");');
@@ -100,6 +120,12 @@ if (CATALOG_ITEM_SYS_ID === 'YOUR_CATALOG_ITEM_SYS_ID' || !CATALOG_ITEM_SYS_ID)
             
             // Delete if in delete mode
             if (DELETE_MODE) {
+                for (var t = 0; t < TRACKING_TABLES.length; t++) {
+                    var trackGr = new GlideRecord(TRACKING_TABLES[t]);
+                    trackGr.addQuery('u_ritm', gr.sys_id.toString());
+                    trackGr.deleteMultiple();
+                }
+                
                 gr.deleteRecord();
                 deleteCount++;
             } else {
@@ -148,6 +174,24 @@ if (CATALOG_ITEM_SYS_ID === 'YOUR_CATALOG_ITEM_SYS_ID' || !CATALOG_ITEM_SYS_ID)
         }
         gs.info('╚════════════════════════════════════════════════════════════╝');
     }
+    
+    // Reset run data - a cursor or detection snapshot left behind would resume the old cycle
+    if (RESET_RUN_DATA && FILTER === 'all') {
+        gs.info('');
+        gs.info('Run data ' + (DELETE_MODE ? 'deleted:' : 'that would be deleted (DRY RUN):'));
+        
+        for (var r = 0; r < RUN_DATA_TABLES.length; r++) {
+            var dataGr = new GlideRecord(RUN_DATA_TABLES[r]);
+            dataGr.query();
+            var rows = dataGr.getRowCount();
+            
+            if (DELETE_MODE && rows > 0) {
+                var deleteGr = new GlideRecord(RUN_DATA_TABLES[r]);
+                deleteGr.deleteMultiple();
+            }
+            gs.info('  ' + RUN_DATA_TABLES[r] + ': ' + rows + ' records');
+        }
+    }
 }
 
 gs.info('');
@@ -5,16 +5,52 @@
  * Exception Management catalog items.
  * 
  * Features:
+ * - Pulls the full detection set, following Qualys truncation pages
+ * - Streams each page host by host straight into the per-QID groups
+ * - Named pull scopes (asset groups, tags, IP ranges, OS, severity, QIDs)
+ * - Optional incremental pulls merged into a persisted detection snapshot
  * - Creates one RITM per QID containing all affected hosts
+ *   (optionally one per QID and owning team)
  * - Updates existing RITMs with host changes on subsequent runs
- * - Handles hosts not in CMDB via text field fallback
- * - Batched CVE lookups for performance
+ * - Resumable cycles: MAX_QIDS_PER_RUN executions continue from the last QID
+ * - Multi-rule CMDB reconciliation with confidence scores
+ * - Handles hosts not in CMDB via text field fallback and a review queue
+ * - KnowledgeBase details cached in a table, re-fetched only when Qualys changes them
+ * - Exploit context on each RITM: CVSS v3 vector, threat intelligence, CISA KEV, patch availability
  * - Lifecycle test mode for validation
- * - Flags RITMs for closure when all hosts remediated
+ * - Flags RITMs for closure when all hosts remediated, including QIDs
+ *   that vanish from a complete Qualys pull
+ * - Optional auto-closure after a configurable clean grace period
+ * - Re-detected QIDs reopen, link to or are suppressed by their closed RITM
+ * - Expiry reminders and renewal requests driven by the exception dateto
+ * - Severity/CVSS-driven exception policy (duration, team, priority, eligibility)
+ * - Routes RITMs to the support group that owns the affected CIs
+ * - Qualys API refusals (SIMPLE_RETURN codes) reported as structured run failures
+ * - Retries with backoff within the Qualys rate limit and concurrency budget
+ * - Credentials from connection profiles (credential alias or encrypted properties),
+ *   several subscriptions / pods side by side, connection test before each run
+ * - Settings from qualys.integration.* system properties, validated before each run
+ * - Run history with per-run statistics and per-QID outcomes
+ * - Preview mode: runs every decision but writes nothing, reporting what it would do
+ * - One run per scope at a time (run lock with stale-lock takeover); duplicate RITMs
+ *   raised for the same QID are merged into the oldest
+ * 
+ * Requires the QualysApiClient and QualysIntegrationConfig Script Includes.
  * 
  * Usage:
  *   var integration = new QualysExceptionIntegration();
- *   integration.run();
+ *   integration.run();                 // ACTIVE_SCOPES
+ *   integration.run('prod,dmz');       // named scopes from QUALYS_SCOPES
+ *   integration.run({ scopes: 'prod', MAX_QIDS_PER_RUN: 50 });   // per-run setting overrides
+ *   integration.run({ PREVIEW_MODE: true });                       // report only, nothing written
+ * 
+ * Expiry Check (daily Scheduled Job):
+ *   var integration = new QualysExceptionIntegration();
+ *   integration.runExpiryCheck();
+ * 
+ * Connection Test:
+ *   var integration = new QualysExceptionIntegration();
+ *   integration.testConnection('default');
  * 
  * Lifecycle Test:
  *   var integration = new QualysExceptionIntegration();
@@ -22,43 +58,341 @@
  */
 
 var QualysExceptionIntegration = Class.create();
+
+/**
+ * Error raised when a scope lock of this execution was taken over as stale by another run -
+ * the run stops rather than work the scope alongside it
+ * @param {string} message
+ */
+QualysExceptionIntegration.RunLockLostError = function(message) {
+    this.message = message;
+};
+
+QualysExceptionIntegration.RunLockLostError.prototype = {
+    name: 'QualysRunLockLostError',
+    
+    getMessage: function() {
+        return this.message;
+    },
+    
+    toString: function() {
+        return this.message;
+    }
+};
+
 QualysExceptionIntegration.prototype = {
     
     // ============================================================
     // CONFIGURATION - UPDATE THESE VALUES
     // ============================================================
     
-    QUALYS_API_URL: 'https://qualysapi.qg1.apps.qualys.ca',
-    QUALYS_USERNAME: 'YOUR_QUALYS_USERNAME',      // TODO: Replace
-    QUALYS_PASSWORD: 'YOUR_QUALYS_PASSWORD',      // TODO: Replace
+    // Qualys connection profiles - credentials are never kept in this Script Include.
+    // Each profile names one source:
+    //   alias       - sys_id of a Connection & Credential alias (HTTP connection with a
+    //                 basic auth credential), read through sn_cc.ConnectionInfoProvider
+    //   properties  - system property prefix: <prefix>.url, <prefix>.username and
+    //                 <prefix>.password (type password2, stored encrypted)
+    // Scopes choose a profile with their connection option, so several subscriptions
+    // or platforms (pods) can be pulled side by side.
+    // Example:
+    //   'ca': { alias: '0a1b2c3d4e5f60718293a4b5c6d7e8f9' },
+    //   'us': { properties: 'qualys.integration.us' },
+    QUALYS_CONNECTIONS: {
+        'default': { properties: 'qualys.integration' }
+    },
+    
+    // Profile used by scopes without a connection option, and for KB lookups outside run()
+    DEFAULT_CONNECTION: 'default',
+    
+    // Check each connection a run uses with a cheap call (/msp/about.php) before pulling
+    TEST_CONNECTION_BEFORE_RUN: true,
     
-    CATALOG_ITEM_SYS_ID: 'YOUR_CATALOG_ITEM_SYS_ID',  // TODO: Replace
-    TEAM_SYS_ID: 'YOUR_TEAM_SYS_ID',                   // TODO: Replace
+    // CATALOG_ITEM_SYS_ID, TEAM_SYS_ID, TEST_MODE, TRUNCATION_LIMIT, MAX_QIDS_PER_RUN,
+    // SKIP_KB_LOOKUPS, KB_BATCH_SIZE, PREVIEW_MODE and LOG_LEVEL are not set here - they are read from
+    // qualys.integration.* system properties by QualysIntegrationConfig and can be
+    // overridden per run, e.g. run({ scopes: 'prod', MAX_QIDS_PER_RUN: 50 })
     
-    // Exception request defaults
+    // Exception request defaults (used when no policy rule sets a duration)
     EXCEPTION_DURATION_MONTHS: 6,
     
+    // Exception policy - rules are evaluated top to bottom, first match wins.
+    // Conditions (all optional, all must hold):
+    //   minSeverity / maxSeverity  - Qualys severity 1-5
+    //   minCvss3 / maxCvss3        - CVSS v3 base score
+    //   hasCve                     - true / false
+    //   osPattern                  - regex tested against each affected host OS (any match)
+    //   ciClasses                  - comma list of CI classes (any CMDB-linked host)
+    // Outcomes:
+    //   eligible (default true), durationMonths, priority (1-5, default leaves the catalog default),
+    //   assignmentGroup (sys_id of the team for hosts without an owning CI group, default TEAM_SYS_ID)
+    // Example:
+    //   { name: 'critical-cvss', minCvss3: 9.0, eligible: false },
+    //   { name: 'sev5', minSeverity: 5, durationMonths: 1, priority: 1 },
+    //   { name: 'sev4-windows', minSeverity: 4, osPattern: 'windows', durationMonths: 3, priority: 2 },
+    EXCEPTION_POLICIES: [
+        { name: 'default', durationMonths: 6 }
+    ],
+    
+    // ============================================================
+    // PULL SCOPES
+    // ============================================================
+    
+    // Named detection filters - every option is optional, an empty scope pulls the whole subscription.
+    //   assetGroupIds          - comma list of asset group IDs
+    //   tagSetInclude          - comma list of tags, hosts must carry any (or all, see tagIncludeSelector)
+    //   tagSetExclude          - comma list of tags, hosts carrying any are left out
+    //   tagSetBy               - 'id' (default) or 'name' - how the tag lists are written
+    //   tagIncludeSelector     - 'any' (default) or 'all'
+    //   ips                    - IPs and ranges, e.g. '10.0.0.1,10.1.0.0-10.1.255.255'
+    //   osPattern              - PCRE matched against the host operating system
+    //   minSeverity            - severity floor 1-5
+    //   qids                   - comma list of QIDs and QID ranges to include
+    //   vmScanSince            - only hosts scanned since this date (YYYY-MM-DD)
+    //   detectionUpdatedSince  - only detections updated since this date (YYYY-MM-DD)
+    //   connection             - QUALYS_CONNECTIONS profile to pull from (default DEFAULT_CONNECTION)
+    // Any option other than connection returns a partial view: a QID or host missing from it may
+    // just be outside the filter, so such a scope disables the remediation sweep for the run.
+    // Keep an unfiltered scope (like 'default') in ACTIVE_SCOPES for vanished QIDs to be flagged.
+    // Example:
+    //   'prod': { assetGroupIds: '1234,5678', minSeverity: 3 },
+    //   'dmz': { tagSetInclude: 'DMZ', tagSetExclude: 'Decommissioned', tagSetBy: 'name', osPattern: '^Windows' },
+    QUALYS_SCOPES: {
+        'default': {}
+    },
+    
+    // Scopes pulled by run() when none are passed (comma list). Scopes run together are
+    // pulled one after another and their detections merged into a single set of RITMs.
+    ACTIVE_SCOPES: 'default',
+    
+    // ============================================================
+    // OWNERSHIP ROUTING
+    // ============================================================
+    
+    // Assign the RITM to the group owning most of the CMDB-linked hosts.
+    // Hosts without an owning group fall back to the policy assignmentGroup / TEAM_SYS_ID.
+    // Off by default - check the CI support groups before enabling. Open RITMs with no
+    // recorded team keep their current team; only later routing changes move them.
+    ROUTE_BY_CI_OWNERSHIP: false,
+    
+    // CI group fields checked in order for the owning group
+    // (managed_by references a user, not a group, so it cannot be used here)
+    CI_OWNER_FIELDS: 'support_group,assignment_group',
+    
+    // Raise one RITM per QID and owning team - each with its own host list and
+    // delta tracking - instead of one RITM per QID. Owners are read only with
+    // ROUTE_BY_CI_OWNERSHIP; without it every host goes to the policy team
+    SPLIT_RITM_BY_TEAM: false,
+    
+    // ============================================================
+    // CLOSURE POLICY
+    // ============================================================
+    
+    // Close fully remediated RITMs automatically once the grace period has passed
+    AUTO_CLOSE_ENABLED: false,
+    
+    // Only report what would close - no RITM is changed
+    AUTO_CLOSE_DRY_RUN: true,
+    
+    // Grace period: Qualys scans with the QID clean (0 = not used) - a run counts one only when the
+    // RITM's hosts were scanned again (LAST_VM_SCANNED_DATE) since the last one counted
+    AUTO_CLOSE_CLEAN_SCANS: 3,
+    
+    // Grace period: days since the QID was first seen clean (0 = not used)
+    // The RITM closes when either threshold is reached
+    AUTO_CLOSE_CLEAN_DAYS: 0,
+    
+    // State set on auto-close (3 = Closed Complete)
+    AUTO_CLOSE_STATE: 3,
+    
+    // Reopen an auto-closed RITM if its QID returns within this many days (0 = create a new RITM instead)
+    AUTO_CLOSE_REOPEN_DAYS: 30,
+    
+    // State set when a RITM is reopened (2 = Work in Progress)
+    REOPEN_STATE: 2,
+    
+    // What to do when a QID returns after its approved exception was closed (EXCEPTED_RITM_STATES,
+    // outside the reopen window above):
+    //   'reopen'   - reopen the closed RITM
+    //   'link'     - create a new RITM with the closed one as parent
+    //   'suppress' - create nothing while the closed exception is in effect (dateto not passed,
+    //                not auto-closed as remediated), then link
+    REDETECTION_ACTION: 'link',
+    
+    // ============================================================
+    // EXCEPTION EXPIRY (runExpiryCheck)
+    // ============================================================
+    
+    // Days before dateto at which a reminder is written and the team notified
+    EXPIRY_WARNING_DAYS: [30, 14, 7],
+    
+    // Events fired for reminders and expiry - register these and attach notifications
+    // parm1 = days remaining, parm2 = remediation team sys_id
+    EXPIRY_WARNING_EVENT: 'qualys.exception.expiring',
+    EXPIRED_EVENT: 'qualys.exception.expired',
+    
+    // When an exception expires and hosts are still affected:
+    //   'renew'  - mark it expired and raise a renewal RITM carrying the current host list
+    //   'expire' - only mark it expired
+    EXPIRY_ACTION: 'renew',
+    
+    // State set on an expired exception (4 = Closed Incomplete)
+    EXPIRED_STATE: 4,
+    
+    // ============================================================
+    // CMDB RECONCILIATION
+    // ============================================================
+    
+    // Match rules in evaluation order and the confidence (0-100) each one carries.
+    // Each name maps to a _matchBy<Name> method; remove or reorder to tune.
+    CI_MATCH_RULES: [
+        { name: 'correlationId', confidence: 100 },
+        { name: 'fqdn', confidence: 90 },
+        { name: 'serialNumber', confidence: 90 },
+        { name: 'macAddress', confidence: 80 },
+        { name: 'shortName', confidence: 70 },
+        { name: 'ipAddress', confidence: 60 }
+    ],
+    
+    // CI field holding the Qualys asset ID or host ID
+    CI_CORRELATION_FIELD: 'correlation_id',
+    
+    // Minimum confidence to link a host to a CI
+    CI_MATCH_MIN_CONFIDENCE: 60,
+    
+    // Stop evaluating rules once a single CI reaches this confidence
+    CI_MATCH_STOP_CONFIDENCE: 90,
+    
+    // Reject the match if the runner-up CI scores within this many points
+    CI_MATCH_AMBIGUITY_MARGIN: 15,
+    
+    // Candidate CIs read per rule query
+    CI_MATCH_MAX_CANDIDATES: 10,
+    
+    // Detections carry no serial number or MAC address - the serialNumber and macAddress rules
+    // read them from the Asset Management host asset API, by detection host ID (qwebHostId).
+    // Drop both rules to skip the lookups; if the account has no Asset Management API access
+    // the first refusal is logged and the run carries on with the other rules.
+    HOST_ASSET_API_PATH: '/qps/rest/2.0/search/am/hostasset',
+    
+    // Host IDs per host asset request
+    HOST_ASSET_BATCH_SIZE: 100,
+    
+    // HostAsset element holding the hardware serial number
+    HOST_ASSET_SERIAL_TAG: 'biosSerialNumber',
+    
+    // Review queue for hosts that could not be matched to a CI
+    // Analysts resolve entries to a CI (or create one) and later runs use the resolution
+    UNMATCHED_HOST_TABLE: 'u_qualys_unmatched_host',
+    
+    // CI class used when creating a CI from an unmatched host
+    UNMATCHED_HOST_CI_CLASS: 'cmdb_ci_server',
+    
+    // CI classes eligible for matching, each with every class extending it (comma list, empty = any class)
+    CI_MATCH_CLASSES: 'cmdb_ci_server,cmdb_ci_win_server,cmdb_ci_linux_server,cmdb_ci_unix_server,cmdb_ci_esx_server,cmdb_ci_computer',
+    
+    // Operational statuses eligible for matching (comma list, empty = any)
+    // 1 = Operational, 3 = Repair in Progress, 4 = DR Standby, 5 = Ready
+    CI_MATCH_OPERATIONAL_STATUSES: '1,3,4,5',
+    
     // ============================================================
     // PERFORMANCE & MODE OPTIONS
     // ============================================================
     
-    // Test mode - limits data for faster testing
-    TEST_MODE: false,
+    // Table holding the resumable run checkpoint (one record per cycle)
+    RUN_STATE_TABLE: 'u_qualys_run_state',
+    
+    // Incremental pulls: request only detections updated since the last successful pull
+    // (Fixed included, so closures are seen) and merge them into DETECTION_TABLE.
+    // Only QIDs touched by the delta are processed. Scopes using vmScanSince or
+    // detectionUpdatedSince are always pulled in full.
+    INCREMENTAL_PULL_ENABLED: false,
+    
+    // Persisted detection snapshot (one record per scope + host + QID)
+    DETECTION_TABLE: 'u_qualys_detection',
+    
+    // Last successful and last full pull per scope
+    PULL_STATE_TABLE: 'u_qualys_pull_state',
+    
+    // Force a full pull when the last full pull is older than this
+    FULL_PULL_INTERVAL_HOURS: 168,
+    
+    // Force a full pull when the snapshot has not been refreshed for this long
+    DETECTION_SNAPSHOT_MAX_AGE_HOURS: 48,
+    
+    // Minutes subtracted from the last pull time to cover clock skew between Qualys and ServiceNow
+    INCREMENTAL_OVERLAP_MINUTES: 15,
+    
+    // Qualys API retries: transient failures (timeouts, 409, 5xx, concurrency/rate limit codes)
+    // are retried up to API_MAX_ATTEMPTS tries, waiting API_RETRY_BASE_SECONDS doubled per retry
+    API_MAX_ATTEMPTS: 4,
+    API_RETRY_BASE_SECONDS: 10,
+    API_RETRY_MAX_SECONDS: 300,
+    
+    // Wait for the rate limit window once X-RateLimit-Remaining drops to API_RATE_LIMIT_RESERVE.
+    // A wait longer than API_MAX_WAIT_SECONDS defers the call and ends the pull / KB lookups instead.
+    API_RATE_LIMIT_RESERVE: 1,
+    API_MAX_WAIT_SECONDS: 300,
+    
+    // Persistent KnowledgeBase cache (one record per QID), shared across runs
+    KB_TABLE: 'u_qualys_kb',
+    
+    // Ask Qualys whether a cached KB entry changed once it was last checked this long ago
+    KB_REFRESH_HOURS: 24,
+    
+    // Fields stored in KB_TABLE - bumped when _parseKBResponse gains fields, so rows
+    // written by an older version are fetched again in full
+    KB_CACHE_VERSION: 2,
+    
+    // Max length of the identified_cves variable - longer lists are cut at a CVE boundary
+    // with a "+N more" note (the justification always carries the full list)
+    CVE_VARIABLE_MAX_LENGTH: 4000,
+    
+    // RITM states treated as closed: closed complete (3), closed incomplete (4), closed skipped (7)
+    CLOSED_RITM_STATES: '3,4,7',
+    
+    // Exception lifecycle: an exception is a catalog RITM whose approval is 'approved'. It is in effect
+    // until its dateto, whether the RITM is still open or fulfilled (closed complete, 3), and ends when
+    // runExpiryCheck moves it to EXPIRED_STATE or the closure policy auto-closes it as remediated.
+    // Closed states of an approved exception - fulfilled or expired. With approval=approved only these
+    // count as an earlier exception for REDETECTION_ACTION; rejected, cancelled, merged-duplicate and
+    // remediated RITMs that were never approved do not
+    EXCEPTED_RITM_STATES: '3,4',
+    
+    // Closed state of a fulfilled exception - still in effect until its dateto (3 = Closed Complete)
+    FULFILLED_EXCEPTION_STATE: 3,
     
-    // Maximum hosts to retrieve from Qualys (0 = no limit)
-    TRUNCATION_LIMIT: 0,
+    // Per-RITM tracking record (closure flag, lifecycle state, policy, team and the recorded CVE list,
+    // threat indicators and CISA KEV flag)
+    RITM_STATE_TABLE: 'u_qualys_ritm_state',
     
-    // Maximum QIDs to process per run (0 = no limit)
-    MAX_QIDS_PER_RUN: 0,
+    // Remediation sweep safety: skip flagging vanished QIDs if more than this
+    // percentage of open RITMs would be flagged in one run
+    VANISHED_QID_MAX_PERCENT: 50,
     
-    // Skip Qualys KB lookups (faster, but no CVE/CVSS details)
-    SKIP_KB_LOOKUPS: false,
+    // Per-RITM host snapshot (matched and unmatched hosts) used for delta tracking
+    RITM_HOST_TABLE: 'u_qualys_ritm_host',
     
-    // Batch size for KB lookups (max QIDs per API call)
-    KB_BATCH_SIZE: 50,
+    // Run history: one record per run() execution that passed validation, with its statistics
+    // and final status, and a child record per QID outcome (what the run did, to which RITMs,
+    // and why it failed)
+    RUN_HISTORY_TABLE: 'u_qualys_run_history',
+    RUN_OUTCOME_TABLE: 'u_qualys_run_outcome',
     
-    // Log level: 'debug', 'info', 'warn', 'error'
-    LOG_LEVEL: 'info',
+    // Days run history (and its QID outcomes) is kept (0 = keep forever)
+    RUN_HISTORY_RETENTION_DAYS: 90,
+    
+    // Run lock: a record per scope while a run() works on it, so overlapping executions
+    // (a scheduled run still going when the next starts, or a manual run) never process
+    // the same scope at once; runExpiryCheck locks every scope while it raises renewals.
+    // A lock not refreshed for RUN_LOCK_STALE_MINUTES belongs to a run that died and is
+    // taken over; a run finding its lock taken over stops.
+    RUN_LOCK_TABLE: 'u_qualys_run_lock',
+    RUN_LOCK_STALE_MINUTES: 60,
+    
+    // After creating a RITM, any other open RITM for the same QID (and team) is merged into
+    // the oldest - its hosts and work notes move there and it is set to this state
+    // (closed skipped) with a note naming the RITM kept
+    DUPLICATE_RITM_STATE: 7,
     
     // Test QID prefix for lifecycle testing
     TEST_QID_PREFIX: 'TEST_QID_',
@@ -69,9 +403,34 @@ QualysExceptionIntegration.prototype = {
     
     initialize: function() {
         this.log = new GSLog('com.qualys.integration', 'QualysExceptionIntegration');
+        this.config = new QualysIntegrationConfig(this.log).load();
+        this.config.applyTo(this);   // CATALOG_ITEM_SYS_ID, TEAM_SYS_ID, TEST_MODE, ... from system properties
         this.log.setLevel(this.LOG_LEVEL);
         this.startTime = new Date().getTime();
-        this.vulnDetailsCache = {};  // Cache for KB lookup results
+        this.vulnDetailsCache = {};  // QID -> KB details read from KB_TABLE or Qualys (null if unknown)
+        this.ritmIndex = null;       // QID -> route -> open RITM sys_id, built once per run
+        this.closedRitmIndex = null; // QID -> route -> most recently closed approved exception RITM sys_id, built on first use
+        this.ciOwnerCache = {};      // CI sys_id -> owning group sys_id ('' if none)
+        this.ciMatchCache = {};      // Host key -> CMDB reconciliation result
+        this.matchClasses = null;    // CI_MATCH_CLASSES and their extensions, read on first match
+        this.hostAssets = {};        // Connection + host ID -> { serial, macs } from the host asset API (null if not found)
+        this.hostAssetError = null;  // Host asset API error that stopped serial/MAC lookups
+        this.hostResolutions = null; // Host key -> CI sys_id resolved in the unmatched host queue
+        this.unmatchedHostQueue = {}; // Host key -> { host, qids } written at end of run
+        this.closureReport = [];     // RITMs the closure policy would close (dry run)
+        this.hostScans = {};         // Host key -> latest LAST_VM_SCANNED_DATE in this run's pull (UTC)
+        this.runScopes = [];         // Scope names pulled by this run
+        this.partialScopes = false;  // True when the run pulls only some of QUALYS_SCOPES
+        this.apiClients = {};        // Connection name -> QualysApiClient, created on first request
+        this.runConnections = [];    // Connection names used by this run's scopes
+        this.kbError = null;         // Fatal KB API error that stopped KB lookups
+        this.kbStats = null;         // { qids, cacheHits, changeChecks, fetched } from the last KB load
+        this.runHistory = null;      // { sysId, runId, qidsPulled } of this execution's RUN_HISTORY_TABLE record
+        this.qidErrors = {};         // QID -> error messages not yet written to a run outcome
+        this.previewReport = null;   // What a PREVIEW_MODE run would have written
+        this.runLocks = [];          // { sysId, scope } of the RUN_LOCK_TABLE records held by this execution
+        this.runLocksRefreshed = 0;  // When the held locks were last refreshed (ms)
+        this.duplicatesMerged = 0;   // Duplicate RITMs merged into an older RITM by this execution
     },
     
     /**
@@ -81,895 +440,5125 @@ QualysExceptionIntegration.prototype = {
         return Math.round((new Date().getTime() - this.startTime) / 1000);
     },
     
+    /**
+     * Apply per-run setting overrides (rejected values are reported by _checkConfig)
+     * The settings are read again first, so an earlier run's overrides do not carry over.
+     * @param {Object} options - Run options - every key except scopes is a setting override
+     */
+    _applyRunOverrides: function(options) {
+        var overrides = {};
+        for (var key in options) {
+            if (key !== 'scopes') {
+                overrides[key] = options[key];
+            }
+        }
+        
+        this.config.load().override(overrides);
+        this.config.applyTo(this);
+        this.log.setLevel(this.LOG_LEVEL);
+    },
+    
+    /**
+     * Apply per-run setting overrides, then validate and log the effective configuration
+     * @param {Object} options - Run options - every key except scopes is a setting override
+     * @param {Array} names - Settings to validate (default all)
+     * @returns {Array} Configuration errors (already logged)
+     */
+    _checkConfig: function(options, names) {
+        this._applyRunOverrides(options);
+        
+        var errors = this.config.validate(names);
+        if (errors.length > 0) {
+            for (var e = 0; e < errors.length; e++) {
+                this.log.error('Configuration: ' + errors[e]);
+            }
+        } else {
+            this.config.logEffective();
+        }
+        
+        return errors;
+    },
+    
     // ============================================================
     // MAIN ENTRY POINT
     // ============================================================
     
     /**
      * Main execution method - called by Scheduled Job
+     * Every execution is recorded in RUN_HISTORY_TABLE, with its QID outcomes in RUN_OUTCOME_TABLE.
+     * A run refused for its configuration or scopes is only logged - it never starts, so it has no history.
+     * Only one execution works on a scope at a time - see RUN_LOCK_TABLE.
+     * With PREVIEW_MODE nothing is written - the result carries a preview report instead.
+     * @param {string|Object} options - Comma list of scopes, or { scopes, <SETTING>: value, ... }
+     *   overriding QualysIntegrationConfig settings for this run only, e.g. { PREVIEW_MODE: true }
      */
-    run: function() {
+    run: function(options) {
+        var runOptions = typeof options === 'string' ? { scopes: options } : (options || {});
         this.log.info('=== Qualys Exception Integration Started ===');
-        this.log.info('Test Mode: ' + this.TEST_MODE);
-        this.log.info('Truncation Limit: ' + this.TRUNCATION_LIMIT);
-        this.log.info('Max QIDs per run: ' + this.MAX_QIDS_PER_RUN);
-        this.log.info('Skip KB Lookups: ' + this.SKIP_KB_LOOKUPS);
         
+        var refused = this._validateRun(runOptions);
+        if (refused) {
+            return refused;
+        }
+        
+        // A preview run leaves no run history
+        if (!this.PREVIEW_MODE) {
+            this._startRunHistory(runOptions);
+        }
+        var result = this._execute();
+        this._releaseRunLocks();
+        this._finishRunHistory(result);
+        
+        return result;
+    },
+    
+    /**
+     * Validate the configuration and pull scopes before anything is requested or recorded
+     * Sets runScopes and partialScopes for _execute.
+     * @param {Object} runOptions - { scopes, <SETTING>: value, ... }
+     * @returns {Object} { success: false, error } if the run is refused, otherwise null
+     */
+    _validateRun: function(runOptions) {
+        try {
+            var configErrors = this._checkConfig(runOptions);
+            if (configErrors.length > 0) {
+                return { success: false, error: 'Invalid configuration: ' + configErrors.join('; ') };
+            }
+            
+            var scopeCheck = this._resolveScopes(runOptions.scopes || this.ACTIVE_SCOPES);
+            if (scopeCheck.errors.length > 0) {
+                for (var e = 0; e < scopeCheck.errors.length; e++) {
+                    this.log.error('Scope configuration: ' + scopeCheck.errors[e]);
+                }
+                return { success: false, error: 'Invalid scope configuration: ' + scopeCheck.errors.join('; ') };
+            }
+            
+            this.runScopes = scopeCheck.names;
+            this.partialScopes = scopeCheck.names.length < Object.keys(this.QUALYS_SCOPES).length;
+            this.log.info('Scopes: ' + this.runScopes.join(', ') + (this.partialScopes ? ' (hosts from other scopes are kept on RITMs)' : ''));
+            return null;
+        } catch (ex) {
+            this.log.error('Integration failed: ' + ex.getMessage());
+            return { success: false, error: ex.getMessage() };
+        }
+    },
+    
+    /**
+     * Pull and process - the body of run(), once _validateRun has passed
+     * @returns {Object} Run statistics, or { success: false, error, ... }
+     */
+    _execute: function() {
         try {
-            // Step 1: Pull vulnerabilities from Qualys
-            var vulnData = this._pullVulnerabilities();
-            if (!vulnData || vulnData.length === 0) {
+            if (this.PREVIEW_MODE) {
+                this.log.info('*** PREVIEW MODE - nothing will be written, see the preview report at the end ***');
+                this.previewReport = { creates: [], updates: [], reopens: [], flags: [], closures: this.closureReport, unmatchedHosts: 0 };
+            }
+            
+            // One execution per scope at a time (a preview writes nothing, so takes no lock)
+            if (!this.PREVIEW_MODE) {
+                var lockError = this._acquireRunLocks(this.runScopes);
+                if (lockError) {
+                    this.log.error('Run not started - ' + lockError);
+                    return { success: false, error: 'Run not started: ' + lockError, reason: 'locked' };
+                }
+            }
+            
+            // Check every connection the scopes use before anything is pulled
+            this.runConnections = this._getScopeConnections(this.runScopes);
+            if (this.TEST_CONNECTION_BEFORE_RUN) {
+                for (var c = 0; c < this.runConnections.length; c++) {
+                    this._refreshRunLocks();
+                    var connectionTest = this.testConnection(this.runConnections[c]);
+                    if (!connectionTest.success) {
+                        return {
+                            success: false,
+                            error: 'Qualys connection "' + connectionTest.connection + '" failed: ' + connectionTest.error,
+                            reason: connectionTest.apiError.kind,
+                            apiError: connectionTest.apiError,
+                            apiBudget: this._logApiBudget()
+                        };
+                    }
+                }
+            }
+            
+            // Step 1: Pull vulnerabilities from Qualys, grouped by QID as each page is parsed
+            var groupedVulns = this._pullVulnerabilities(this.runScopes);
+            var qidCount = groupedVulns ? Object.keys(groupedVulns).length : 0;
+            
+            // An empty result is only trusted if every scope answered
+            if (!groupedVulns || (qidCount === 0 && this.pullStats.apiError)) {
+                var apiError = this.pullStats.apiError;
+                this.log.error((groupedVulns ? 'No detections returned and a scope failed' : 'No scope could be pulled') +
+                               ' - ' + apiError.getMessage());
+                return {
+                    success: false,
+                    error: 'Qualys API request failed: ' + apiError.getMessage(),
+                    reason: apiError.kind,
+                    apiError: apiError.toObject(),
+                    apiBudget: this._logApiBudget()
+                };
+            }
+            
+            if (qidCount === 0) {
                 this.log.info('No vulnerabilities returned from Qualys');
-                return { success: true, created: 0, updated: 0, message: 'No vulnerabilities found' };
+                return { success: true, created: 0, updated: 0, message: 'No vulnerabilities found', apiBudget: this._logApiBudget() };
             }
             
-            this.log.info('Elapsed: ' + this._getElapsedSeconds() + 's - Pulled ' + vulnData.length + ' detections');
+            if (this.runHistory) {
+                this.runHistory.qidsPulled = qidCount;
+            }
+            this.log.info('Elapsed: ' + this._getElapsedSeconds() + 's - Pulled ' + this.pullStats.detections + ' detections in ' +
+                         this.pullStats.pages + ' pages, grouped into ' + qidCount + ' unique QIDs');
+            if (!this.pullStats.complete) {
+                this.log.warn('Qualys pull did not complete - detection set is partial for this run');
+            }
+            if (this.pullStats.malformed > 0) {
+                this.log.warn(this.pullStats.malformed + ' malformed HOST/DETECTION blocks were skipped - see warnings above');
+            }
             
-            // Step 2: Group vulnerabilities by QID
-            var groupedVulns = this._groupByQID(vulnData);
-            var qidCount = Object.keys(groupedVulns).length;
-            this.log.info('Grouped into ' + qidCount + ' unique QIDs');
+            // After an incremental pull only QIDs touched by the delta need processing
+            var changedQids = this.pullStats.changedQids;
+            var candidateQids = changedQids ? Object.keys(changedQids) : Object.keys(groupedVulns);
+            if (changedQids) {
+                this.log.info('Incremental pull - ' + candidateQids.length + ' of ' + qidCount + ' QIDs changed since the last pull');
+            }
             
-            // Step 3: Batch fetch KB details for all QIDs (if not skipped)
+            // Step 3: Load KB details from the KB cache, fetching new and changed QIDs (if not skipped)
             if (!this.SKIP_KB_LOOKUPS) {
-                this._batchFetchVulnDetails(Object.keys(groupedVulns));
-                this.log.info('Elapsed: ' + this._getElapsedSeconds() + 's - Fetched KB details');
+                this._batchFetchVulnDetails(candidateQids.filter(function(q) { return groupedVulns[q]; }));
+                this.log.info('Elapsed: ' + this._getElapsedSeconds() + 's - Loaded KB details');
+            }
+            
+            // Step 4: Resume from the run-state checkpoint and apply QID limit if set
+            var runState = this._loadRunState(this.runScopes.join(','));
+            var allQids = candidateQids.sort(this._compareQIDs);
+            var cycleQids = this._getQIDsAfterCursor(allQids, runState.cursor);
+            var qidsRemaining = cycleQids.length;
+            
+            // Changed QIDs the cycle has already passed are processed first, not left until it wraps
+            var passedQids = changedQids ? allQids.slice(0, allQids.length - qidsRemaining) : [];
+            var qidsToProcess = passedQids.concat(cycleQids);
+            
+            this.log.info('Cycle ' + runState.runId + (runState.resumed ?
+                         ' resumed after QID ' + (runState.cursor || '(start)') : ' started') +
+                         ' - ' + qidsRemaining + ' of ' + qidCount + ' QIDs left in cycle');
+            if (passedQids.length > 0) {
+                this.log.info(passedQids.length + ' changed QIDs sort before the cursor - processing them first');
             }
             
-            // Step 4: Apply QID limit if set
-            var qidsToProcess = Object.keys(groupedVulns);
             if (this.MAX_QIDS_PER_RUN > 0 && qidsToProcess.length > this.MAX_QIDS_PER_RUN) {
-                this.log.info('Limiting to ' + this.MAX_QIDS_PER_RUN + ' QIDs (out of ' + qidsToProcess.length + ')');
+                this.log.info('Limiting to ' + this.MAX_QIDS_PER_RUN + ' QIDs (out of ' + qidsToProcess.length + ' remaining)');
                 qidsToProcess = qidsToProcess.slice(0, this.MAX_QIDS_PER_RUN);
             }
             
-            // Step 5: Process each QID - create or update RITMs
-            var stats = {
-                created: 0,
-                updated: 0,
-                flaggedForClosure: 0,
-                skipped: 0,
-                errors: 0
-            };
+            // Step 5: Index open RITMs once, then process each QID - create or update RITMs
+            this._buildRITMIndex();
+            
+            var stats = this._newRunStats();
+            stats.pagesPulled = this.pullStats.pages;
+            stats.pullComplete = this.pullStats.complete;
+            
+            runState.pagesFetched += this.pullStats.pages;
+            runState.qidsTotal = qidCount;
+            runState.stats.pagesPulled += this.pullStats.pages;
             
             for (var i = 0; i < qidsToProcess.length; i++) {
                 var qid = qidsToProcess[i];
+                this._refreshRunLocks();
                 
                 // Progress logging every 10 QIDs
                 if (i > 0 && i % 10 === 0) {
                     this.log.info('Progress: ' + i + '/' + qidsToProcess.length + ' QIDs (' + this._getElapsedSeconds() + 's)');
                 }
                 
-                try {
-                    var result = this._processQID(qid, groupedVulns[qid]);
-                    if (result === 'created') {
-                        stats.created++;
-                    } else if (result === 'updated') {
-                        stats.updated++;
-                    } else if (result === 'flagged') {
-                        stats.flaggedForClosure++;
-                    } else if (result === 'skipped') {
-                        stats.skipped++;
+                var ritmsBefore = this._getIndexedRITMs(qid);
+                var results;
+                if (!groupedVulns[qid]) {
+                    // Every detection of this changed QID is now Fixed - the remediation sweep handles its RITM
+                    results = ['skipped'];
+                } else {
+                    try {
+                        results = this._processQIDRoutes(qid, groupedVulns[qid]);
+                    } catch (ex) {
+                        this._logQIDError(qid, 'Error processing QID ' + qid + ': ' + ex.getMessage());
+                        results = ['error'];
                     }
-                } catch (ex) {
-                    this.log.error('Error processing QID ' + qid + ': ' + ex.getMessage());
-                    stats.errors++;
                 }
+                this._recordQIDOutcome(qid, 'pull', results, groupedVulns[qid], ritmsBefore);
+                
+                if (changedQids && results.indexOf('error') === -1) {
+                    this._clearChangedDetections(qid);
+                }
+                
+                stats.qidsProcessed++;
+                runState.stats.qidsProcessed++;
+                for (var r = 0; r < results.length; r++) {
+                    this._countResult(stats, results[r]);
+                    this._countResult(runState.stats, results[r]);
+                }
+                
+                // Checkpoint after every QID so an aborted execution resumes here
+                if (i >= passedQids.length) {
+                    runState.cursor = qid;
+                }
+                this._saveRunState(runState, false);
             }
             
+            // Step 6: Flag (and per closure policy, close) RITMs whose QID has vanished from a complete pull
+            var sweep = this._sweepVanishedQIDs(groupedVulns);
+            stats.vanishedQids = sweep.vanished;
+            stats.flaggedForClosure += sweep.flagged;
+            stats.closed += sweep.closed;
+            runState.stats.flaggedForClosure += sweep.flagged;
+            runState.stats.closed += sweep.closed;
+            
+            // Step 7: Record hosts that could not be matched for CMDB review
+            stats.unmatchedHosts = this._flushUnmatchedHosts();
+            stats.duplicatesMerged = this.duplicatesMerged;
+            
+            var cycleProcessed = Math.max(0, qidsToProcess.length - passedQids.length);
+            var cycleComplete = cycleProcessed === qidsRemaining;
+            this._saveRunState(runState, cycleComplete);
+            
             this.log.info('=== Integration Complete ===');
             this.log.info('Total time: ' + this._getElapsedSeconds() + ' seconds');
-            this.log.info('Created: ' + stats.created + ' | Updated: ' + stats.updated + 
-                         ' | Flagged for closure: ' + stats.flaggedForClosure +
+            this.log.info('This execution - Processed: ' + stats.qidsProcessed + ' | Created: ' + stats.created +
+                         ' | Updated: ' + stats.updated + ' | Reopened: ' + stats.reopened + ' | Suppressed: ' + stats.suppressed +
+                         ' | Ineligible: ' + stats.ineligible +
+                         ' | Flagged for closure: ' + stats.flaggedForClosure + ' | Closed: ' + stats.closed +
                          ' | Skipped: ' + stats.skipped + ' | Errors: ' + stats.errors);
+            this.log.info('Cycle ' + runState.runId + ' (' + runState.executions + ' executions) - Processed: ' +
+                         runState.stats.qidsProcessed + '/' + qidCount + ' | Created: ' + runState.stats.created +
+                         ' | Updated: ' + runState.stats.updated + ' | Reopened: ' + runState.stats.reopened +
+                         ' | Suppressed: ' + runState.stats.suppressed + ' | Ineligible: ' + runState.stats.ineligible +
+                         ' | Flagged for closure: ' + runState.stats.flaggedForClosure + ' | Closed: ' + runState.stats.closed +
+                         ' | Skipped: ' + runState.stats.skipped + ' | Errors: ' + runState.stats.errors +
+                         ' | Pages: ' + runState.stats.pagesPulled);
+            
+            if (this.closureReport.length > 0) {
+                this.log.info('[DRY RUN] ' + this.closureReport.length + ' RITMs would be closed by the closure policy');
+            }
+            
+            if (cycleComplete) {
+                this.log.info('Cycle complete - every QID has been visited');
+            } else {
+                this.log.info('NOTE: ' + (qidsRemaining - cycleProcessed) + ' QIDs remaining in cycle - next run resumes after QID ' + runState.cursor);
+            }
             
-            if (this.MAX_QIDS_PER_RUN > 0 && qidsToProcess.length < qidCount) {
-                this.log.info('NOTE: ' + (qidCount - qidsToProcess.length) + ' QIDs remaining - run again to process more');
+            stats.runId = runState.runId;
+            stats.cycleComplete = cycleComplete;
+            stats.qidsRemaining = qidsRemaining - cycleProcessed;
+            stats.cycle = runState.stats;
+            stats.wouldClose = this.closureReport;
+            if (this.pullStats.apiError) {
+                stats.apiError = this.pullStats.apiError.toObject();
             }
+            if (this.kbError) {
+                stats.kbError = this.kbError.toObject();
+            }
+            if (this.previewReport) {
+                stats.preview = this.previewReport;
+                this._logPreviewReport();
+            }
+            stats.apiBudget = this._logApiBudget();
             
             return stats;
             
         } catch (ex) {
             this.log.error('Integration failed: ' + ex.getMessage());
-            return { success: false, error: ex.getMessage() };
+            var failure = { success: false, error: ex.getMessage(), apiBudget: this._logApiBudget() };
+            if (ex instanceof QualysExceptionIntegration.RunLockLostError) {
+                failure.reason = 'lockLost';
+            }
+            return failure;
         }
     },
     
     // ============================================================
-    // LIFECYCLE TEST METHOD
+    // PULL SCOPE METHODS
     // ============================================================
     
     /**
-     * Run automated lifecycle test
-     * Tests: Creation -> Update (partial remediation) -> Update (new host) -> Flag for closure -> Cleanup
+     * Resolve scope names and validate each scope definition
+     * @param {string|Array} scopes - Comma list or array of QUALYS_SCOPES names
+     * @returns {Object} { names: [], errors: [] }
      */
-    runLifecycleTest: function() {
-        this.log.info('');
-        this.log.info('╔══════════════════════════════════════════════════════════════╗');
-        this.log.info('║           QUALYS INTEGRATION LIFECYCLE TEST                  ║');
-        this.log.info('╚══════════════════════════════════════════════════════════════╝');
-        this.log.info('');
-        
-        var testQID = this.TEST_QID_PREFIX + new Date().getTime();
-        var testResults = {
-            stage1: false,
-            stage2: false,
-            stage3: false,
-            stage4: false,
-            cleanup: false
-        };
-        var ritmSysId = null;
+    _resolveScopes: function(scopes) {
+        var list = typeof scopes === 'string' ? scopes.split(',') : (scopes || []);
+        var result = { names: [], errors: [] };
         
-        try {
-            // ==================== STAGE 1: Initial Detection ====================
-            this.log.info('');
-            this.log.info('═══ STAGE 1: Initial Detection ═══');
-            this.log.info('Creating RITM with 3 hosts for QID: ' + testQID);
+        for (var i = 0; i < list.length; i++) {
+            var name = String(list[i]).trim();
+            if (!name || result.names.indexOf(name) !== -1) continue;
             
-            var stage1Data = {
-                qid: testQID,
-                severity: '4',
-                hosts: [
-                    { ip: '10.0.0.1', dns: 'test-host-A', hostname: 'test-host-A', assetId: 'TEST001', os: 'Windows Server 2019', status: 'Active' },
-                    { ip: '10.0.0.2', dns: 'test-host-B', hostname: 'test-host-B', assetId: 'TEST002', os: 'Windows Server 2019', status: 'Active' },
-                    { ip: '10.0.0.3', dns: 'test-host-C', hostname: 'test-host-C', assetId: 'TEST003', os: 'Windows Server 2019', status: 'Active' }
-                ]
-            };
-            
-            // Mock KB details
-            this.vulnDetailsCache[testQID] = {
-                title: 'Test Vulnerability for Lifecycle Testing',
-                cveList: ['CVE-2024-TEST1', 'CVE-2024-TEST2'],
-                cvssBase: '6.5',
-                cvss3Base: '7.5',
-                solution: 'Apply vendor patch',
-                diagnosis: 'This is a test vulnerability'
-            };
-            
-            var result1 = this._processQID(testQID, stage1Data);
-            
-            // Verify Stage 1
-            var ritm1 = this._findExistingRITM(testQID);
-            if (ritm1 && result1 === 'created') {
-                ritmSysId = ritm1.sys_id.toString();
-                this.log.info('✓ RITM created: ' + ritm1.number);
-                this.log.info('✓ Result: ' + result1);
-                testResults.stage1 = true;
-            } else {
-                this.log.error('✗ Stage 1 FAILED - RITM not created properly');
+            if (!this.QUALYS_SCOPES.hasOwnProperty(name)) {
+                result.errors.push('unknown scope "' + name + '"');
+                continue;
             }
             
-            // ==================== STAGE 2: Partial Remediation ====================
-            this.log.info('');
-            this.log.info('═══ STAGE 2: Partial Remediation ═══');
-            this.log.info('Removing host C (simulating remediation)');
-            
-            var stage2Data = {
-                qid: testQID,
-                severity: '4',
-                hosts: [
-                    { ip: '10.0.0.1', dns: 'test-host-A', hostname: 'test-host-A', assetId: 'TEST001', os: 'Windows Server 2019', status: 'Active' },
-                    { ip: '10.0.0.2', dns: 'test-host-B', hostname: 'test-host-B', assetId: 'TEST002', os: 'Windows Server 2019', status: 'Active' }
-                    // Host C removed - simulating remediation
-                ]
-            };
-            
-            var result2 = this._processQID(testQID, stage2Data);
-            
-            if (result2 === 'updated') {
-                this.log.info('✓ RITM updated');
-                this.log.info('✓ Check work notes for "test-host-C" remediation message');
-                testResults.stage2 = true;
-            } else {
-                this.log.error('✗ Stage 2 FAILED - Expected "updated", got "' + result2 + '"');
+            result.names.push(name);
+            var scopeErrors = this._validateScope(this.QUALYS_SCOPES[name]);
+            for (var j = 0; j < scopeErrors.length; j++) {
+                result.errors.push(name + ': ' + scopeErrors[j]);
             }
-            
-            // ==================== STAGE 3: New Host Affected ====================
-            this.log.info('');
-            this.log.info('═══ STAGE 3: New Host Affected ═══');
-            this.log.info('Adding host D (new detection)');
-            
-            var stage3Data = {
-                qid: testQID,
-                severity: '4',
-                hosts: [
+        }
+        
+        if (result.names.length === 0 && result.errors.length === 0) {
+            result.errors.push('no scopes selected');
+        }
+        
+        return result;
+    },
+    
+    /**
+     * Check a scope definition against the supported options
+     * @param {Object} scope - Scope from QUALYS_SCOPES
+     * @returns {Array} Error messages (empty if valid)
+     */
+    _validateScope: function(scope) {
+        var errors = [];
+        var patterns = {
+            assetGroupIds: /^\d+(,\d+)*$/,
+            tagSetInclude: /\S/,
+            tagSetExclude: /\S/,
+            tagSetBy: /^(id|name)$/,
+            tagIncludeSelector: /^(any|all)$/,
+            ips: /^[0-9a-fA-F.:\-\/]+(,[0-9a-fA-F.:\-\/]+)*$/,
+            osPattern: /\S/,
+            minSeverity: /^[1-5]$/,
+            qids: /^\d+(-\d+)?(,\d+(-\d+)?)*$/,
+            vmScanSince: /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2}Z)?$/,
+            detectionUpdatedSince: /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2}Z)?$/,
+            connection: /^\S+$/
+        };
+        
+        for (var option in scope) {
+            if (!patterns.hasOwnProperty(option)) {
+                errors.push('unknown option "' + option + '"');
+            } else if (!patterns[option].test(String(scope[option]).replace(/\s*,\s*/g, ','))) {
+                errors.push('invalid ' + option + ' "' + scope[option] + '"');
+            }
+        }
+        
+        if ((scope.tagSetBy || 'id') === 'id') {
+            var tagIds = /^\d+(,\d+)*$/;
+            if (scope.tagSetInclude && !tagIds.test(String(scope.tagSetInclude).replace(/\s/g, ''))) {
+                errors.push('tagSetInclude must list tag IDs unless tagSetBy is "name"');
+            }
+            if (scope.tagSetExclude && !tagIds.test(String(scope.tagSetExclude).replace(/\s/g, ''))) {
+                errors.push('tagSetExclude must list tag IDs unless tagSetBy is "name"');
+            }
+        }
+        
+        if (scope.connection && !this.QUALYS_CONNECTIONS.hasOwnProperty(scope.connection)) {
+            errors.push('unknown connection "' + scope.connection + '"');
+        }
+        
+        if ((scope.tagSetBy || scope.tagIncludeSelector) && !scope.tagSetInclude && !scope.tagSetExclude) {
+            errors.push('tagSetBy / tagIncludeSelector need tagSetInclude or tagSetExclude');
+        }
+        
+        return errors;
+    },
+    
+    /**
+     * Translate a scope into detection API parameters
+     * @param {Object} scope - Validated scope from QUALYS_SCOPES
+     * @returns {string} Parameters, each prefixed with '&' ('' for the whole subscription)
+     */
+    _buildScopeParams: function(scope) {
+        var params = '';
+        var add = function(name, value) {
+            // Commas separate list values and are left readable in the logged parameters
+            params += '&' + name + '=' + encodeURIComponent(String(value).replace(/\s*,\s*/g, ',')).replace(/%2C/g, ',');
+        };
+        
+        if (scope.assetGroupIds) add('ag_ids', scope.assetGroupIds);
+        
+        if (scope.tagSetInclude || scope.tagSetExclude) {
+            add('use_tags', 1);
+            add('tag_set_by', scope.tagSetBy || 'id');
+            if (scope.tagSetInclude) {
+                add('tag_include_selector', scope.tagIncludeSelector || 'any');
+                add('tag_set_include', scope.tagSetInclude);
+            }
+            if (scope.tagSetExclude) add('tag_set_exclude', scope.tagSetExclude);
+        }
+        
+        if (scope.ips) add('ips', scope.ips);
+        if (scope.osPattern) add('os_pattern', scope.osPattern);
+        if (scope.minSeverity) add('severities', scope.minSeverity + '-5');
+        if (scope.qids) add('qids', scope.qids);
+        if (scope.vmScanSince) add('vm_scan_since', scope.vmScanSince);
+        if (scope.detectionUpdatedSince) add('detection_updated_since', scope.detectionUpdatedSince);
+        
+        return params;
+    },
+    
+    /**
+     * Scope options that narrow the pull to part of the subscription
+     * @param {Object} scope - Scope definition from QUALYS_SCOPES
+     * @returns {Array} Option names set on the scope (empty for a whole-subscription scope)
+     */
+    _getScopeFilters: function(scope) {
+        var options = ['assetGroupIds', 'tagSetInclude', 'tagSetExclude', 'ips', 'osPattern',
+                       'minSeverity', 'qids', 'vmScanSince', 'detectionUpdatedSince'];
+        return options.filter(function(option) {
+            return !!scope[option];
+        });
+    },
+    
+    // ============================================================
+    // DETECTION SNAPSHOT (INCREMENTAL PULL) METHODS
+    // ============================================================
+    
+    /**
+     * Decide whether a scope can be pulled incrementally
+     * @param {string} scopeName - Scope name
+     * @param {Object} scope - Scope definition from QUALYS_SCOPES
+     * @returns {Object} { incremental, snapshot, since, reason } - snapshot is false when DETECTION_TABLE is not used
+     */
+    _getPullMode: function(scopeName, scope) {
+        if (!this.INCREMENTAL_PULL_ENABLED) {
+            return { incremental: false, snapshot: false, reason: 'incremental pulls disabled' };
+        }
+        if (this.PREVIEW_MODE) {
+            return { incremental: false, snapshot: false, reason: 'preview - detection snapshot not used' };
+        }
+        if (scope.vmScanSince || scope.detectionUpdatedSince) {
+            return { incremental: false, snapshot: false, reason: 'scope sets its own date filter' };
+        }
+        
+        var full = { incremental: false, snapshot: true };
+        var state = this._getPullState(scopeName);
+        if (!state || state.u_last_pull.nil()) {
+            full.reason = 'no earlier pull recorded';
+            return full;
+        }
+        
+        var snapshotCheck = new GlideRecord(this.DETECTION_TABLE);
+        snapshotCheck.addQuery('u_scope', scopeName);
+        snapshotCheck.setLimit(1);
+        snapshotCheck.query();
+        if (!snapshotCheck.hasNext()) {
+            full.reason = 'detection snapshot missing';
+            return full;
+        }
+        
+        var now = new GlideDateTime().getNumericValue();
+        var lastPull = new GlideDateTime(state.u_last_pull.toString());
+        var snapshotAge = Math.floor((now - lastPull.getNumericValue()) / 3600000);
+        if (snapshotAge >= this.DETECTION_SNAPSHOT_MAX_AGE_HOURS) {
+            full.reason = 'snapshot is stale (' + snapshotAge + ' hours old)';
+            return full;
+        }
+        
+        var fullAge = state.u_last_full_pull.nil() ? -1 :
+            Math.floor((now - new GlideDateTime(state.u_last_full_pull.toString()).getNumericValue()) / 3600000);
+        if (fullAge < 0 || fullAge >= this.FULL_PULL_INTERVAL_HOURS) {
+            full.reason = 'scheduled full pull (last ' + (fullAge < 0 ? 'never' : fullAge + ' hours ago') + ')';
+            return full;
+        }
+        
+        lastPull.addSeconds(-60 * this.INCREMENTAL_OVERLAP_MINUTES);
+        var since = lastPull.getValue().replace(' ', 'T') + 'Z';
+        return { incremental: true, snapshot: true, since: since, reason: 'changes since ' + since };
+    },
+    
+    /**
+     * Get the pull watermark record for a scope
+     * @param {string} scopeName - Scope name
+     * @returns {GlideRecord|null} Pull state or null if the scope was never pulled
+     */
+    _getPullState: function(scopeName) {
+        var gr = new GlideRecord(this.PULL_STATE_TABLE);
+        if (gr.get('u_scope', scopeName)) {
+            return gr;
+        }
+        return null;
+    },
+    
+    /**
+     * Record a complete pull for a scope
+     * @param {string} scopeName - Scope name
+     * @param {GlideDateTime} pullStarted - When the first page was requested
+     * @param {boolean} fullPull - True for a full pull
+     */
+    _savePullState: function(scopeName, pullStarted, fullPull) {
+        var gr = this._getPullState(scopeName);
+        if (!gr) {
+            gr = new GlideRecord(this.PULL_STATE_TABLE);
+            gr.initialize();
+            gr.u_scope = scopeName;
+        }
+        
+        gr.u_last_pull = pullStarted;
+        if (fullPull) {
+            gr.u_last_full_pull = pullStarted;
+        }
+        
+        if (gr.isNewRecord()) {
+            gr.insert();
+        } else {
+            gr.update();
+        }
+    },
+    
+    /**
+     * Start merging a scope's pull into its detection snapshot
+     * Incremental: pulled detections are upserted and flagged changed, Fixed ones marked Fixed.
+     * Full: detections are upserted and, if the pull completed, rows not returned are deleted.
+     * Rows are read one host at a time as its detections arrive - the table is never held in memory.
+     * @param {string} scopeName - Scope name
+     * @returns {Object} { scopeName, hostKey, hostRows, seen, changedQids, written } - hostRows keyed by QID
+     */
+    _openDetectionSnapshot: function(scopeName) {
+        return { scopeName: scopeName, hostKey: null, hostRows: {}, seen: {}, changedQids: {}, written: 0 };
+    },
+    
+    /**
+     * Read the snapshot rows of one host, keyed by QID
+     * @param {string} scopeName - Scope name
+     * @param {string} hostKey - From _getHostKey
+     * @returns {Object} QID -> row
+     */
+    _loadHostDetections: function(scopeName, hostKey) {
+        var rows = {};
+        
+        var gr = new GlideRecord(this.DETECTION_TABLE);
+        gr.addQuery('u_scope', scopeName);
+        gr.addQuery('u_host_key', hostKey);
+        gr.query();
+        
+        while (gr.next()) {
+            var row = this._detectionFromRecord(gr, scopeName);
+            rows[row.qid] = row;
+        }
+        
+        return rows;
+    },
+    
+    /**
+     * Merge one pulled detection into an open snapshot
+     * The page parser emits a host's detections together, so only the current host's rows are kept.
+     * @param {Object} snapshot - From _openDetectionSnapshot
+     * @param {Object} vuln - Detection from the page parser
+     * @param {boolean} incremental - True for a delta pull
+     */
+    _mergeDetection: function(snapshot, vuln, incremental) {
+        var hostKey = this._getHostKey(vuln.host);
+        if (hostKey !== snapshot.hostKey) {
+            snapshot.hostKey = hostKey;
+            snapshot.hostRows = this._loadHostDetections(snapshot.scopeName, hostKey);
+        }
+        
+        var existing = snapshot.hostRows[vuln.qid];
+        snapshot.seen[hostKey + '|' + vuln.qid] = true;
+        
+        if (vuln.status === 'Fixed' && !existing) return;
+        
+        // Unchanged rows are not rewritten on a full pull
+        if (!incremental && existing && !existing.changed && !this._detectionDiffers(existing, vuln)) return;
+        
+        this._writeDetection(existing ? existing.sysId : null, snapshot.scopeName, vuln, incremental);
+        snapshot.written++;
+    },
+    
+    /**
+     * Finish a snapshot merge - after a complete full pull, delete rows Qualys no longer returns -
+     * and add the scope's open detections to the QID map
+     * @param {Object} snapshot - From _openDetectionSnapshot
+     * @param {boolean} incremental - True for a delta pull
+     * @param {boolean} complete - True if every page was retrieved
+     * @param {Object} grouped - QID map the open detections are added to
+     */
+    _closeDetectionSnapshot: function(snapshot, incremental, complete, grouped) {
+        var deleted = 0;
+        var open = 0;
+        snapshot.hostRows = {};
+        
+        var gr = new GlideRecord(this.DETECTION_TABLE);
+        gr.addQuery('u_scope', snapshot.scopeName);
+        gr.query();
+        
+        while (gr.next()) {
+            if (!incremental && complete && !snapshot.seen[gr.u_host_key + '|' + gr.u_qid]) {
+                gr.deleteRecord();
+                deleted++;
+                continue;
+            }
+            
+            var row = this._detectionFromRecord(gr, snapshot.scopeName);
+            if (row.changed) {
+                snapshot.changedQids[row.qid] = true;
+            }
+            if (row.status !== 'Fixed') {
+                this._addDetection(grouped, row);
+                open++;
+            }
+        }
+        
+        this.log.info('Detection snapshot ' + snapshot.scopeName + ': ' + snapshot.written + ' written, ' + deleted + ' removed, ' +
+                     open + ' open detections, ' + Object.keys(snapshot.changedQids).length + ' changed QIDs');
+    },
+    
+    /**
+     * Check whether a pulled detection differs from its snapshot row
+     */
+    _detectionDiffers: function(row, vuln) {
+        var fields = ['ip', 'dns', 'netbios', 'hostname', 'os'];
+        for (var i = 0; i < fields.length; i++) {
+            if ((row.host[fields[i]] || '') !== (vuln.host[fields[i]] || '')) {
+                return true;
+            }
+        }
+        return row.severity !== vuln.severity || row.status !== vuln.status;
+    },
+    
+    /**
+     * Insert or update one snapshot row
+     * @param {string} sysId - Existing row sys_id, or null to insert
+     * @param {string} scopeName - Scope name
+     * @param {Object} vuln - Detection
+     * @param {boolean} changed - Flag the row for processing
+     */
+    _writeDetection: function(sysId, scopeName, vuln, changed) {
+        var gr = new GlideRecord(this.DETECTION_TABLE);
+        if (!sysId || !gr.get(sysId)) {
+            gr.initialize();
+            gr.u_scope = scopeName;
+            gr.u_qid = vuln.qid;
+            gr.u_host_key = this._getHostKey(vuln.host);
+        }
+        
+        gr.u_host_id = vuln.host.hostId || '';
+        gr.u_asset_id = vuln.host.assetId || '';
+        gr.u_ip = vuln.host.ip || '';
+        gr.u_dns = vuln.host.dns || '';
+        gr.u_netbios = vuln.host.netbios || '';
+        gr.u_hostname = vuln.host.hostname || '';
+        gr.u_os = vuln.host.os || '';
+        gr.u_severity = vuln.severity;
+        gr.u_status = vuln.status;
+        gr.u_first_found = vuln.firstFound || '';
+        gr.u_last_found = vuln.lastFound || '';
+        gr.u_changed = changed;
+        
+        if (gr.isNewRecord()) {
+            gr.insert();
+        } else {
+            gr.update();
+        }
+    },
+    
+    /**
+     * Rebuild a detection (shaped like _parseDetectionPage output) from a snapshot row
+     */
+    _detectionFromRecord: function(gr, scopeName) {
+        return {
+            sysId: gr.sys_id.toString(),
+            changed: gr.u_changed.toString() === 'true',
+            host: {
+                hostId: gr.u_host_id.toString(),
+                ip: gr.u_ip.toString(),
+                dns: gr.u_dns.toString(),
+                assetId: gr.u_asset_id.toString(),
+                netbios: gr.u_netbios.toString(),
+                os: gr.u_os.toString(),
+                hostname: gr.u_hostname.toString(),
+                scope: scopeName
+            },
+            qid: gr.u_qid.toString(),
+            severity: gr.u_severity.toString(),
+            status: gr.u_status.toString(),
+            firstFound: gr.u_first_found.toString(),
+            lastFound: gr.u_last_found.toString()
+        };
+    },
+    
+    /**
+     * Clear the changed flag on a processed QID's snapshot rows and drop its Fixed rows
+     * @param {string} qid - Qualys QID
+     */
+    _clearChangedDetections: function(qid) {
+        var gr = new GlideRecord(this.DETECTION_TABLE);
+        gr.addQuery('u_qid', qid);
+        gr.addQuery('u_scope', 'IN', this.runScopes.join(','));
+        gr.addQuery('u_changed', true);
+        gr.query();
+        
+        while (gr.next()) {
+            if (gr.u_status.toString() === 'Fixed') {
+                gr.deleteRecord();
+            } else {
+                gr.u_changed = false;
+                gr.update();
+            }
+        }
+    },
+    
+    // ============================================================
+    // RUN STATE (CHECKPOINT) METHODS
+    // ============================================================
+    
+    /**
+     * Create an empty stats object
+     * @returns {Object} Zeroed run statistics
+     */
+    _newRunStats: function() {
+        return {
+            qidsProcessed: 0,
+            pagesPulled: 0,
+            created: 0,
+            updated: 0,
+            flaggedForClosure: 0,
+            closed: 0,
+            reopened: 0,
+            suppressed: 0,
+            ineligible: 0,
+            skipped: 0,
+            errors: 0
+        };
+    },
+    
+    /**
+     * Add a _processQID result to a stats object (one call per RITM route)
+     * @param {Object} stats - Stats object
+     * @param {string} result - Result from _processQID, or 'error'
+     */
+    _countResult: function(stats, result) {
+        if (result === 'created') {
+            stats.created++;
+        } else if (result === 'updated') {
+            stats.updated++;
+        } else if (result === 'flagged') {
+            stats.flaggedForClosure++;
+        } else if (result === 'closed') {
+            stats.closed++;
+        } else if (result === 'reopened') {
+            stats.reopened++;
+        } else if (result === 'suppressed') {
+            stats.suppressed++;
+        } else if (result === 'ineligible') {
+            stats.ineligible++;
+        } else if (result === 'skipped') {
+            stats.skipped++;
+        } else if (result === 'error') {
+            stats.errors++;
+        }
+    },
+    
+    /**
+     * Load the in-progress cycle, or start a new one
+     * A cycle spans as many executions as MAX_QIDS_PER_RUN requires to visit every QID.
+     * Each combination of scopes keeps its own cycle.
+     * @param {string} scopeKey - Comma list of the scopes pulled
+     * @returns {Object} { sysId, runId, cursor, pagesFetched, qidsTotal, executions, stats, resumed }
+     */
+    _loadRunState: function(scopeKey) {
+        var gr = new GlideRecord(this.RUN_STATE_TABLE);
+        gr.addQuery('u_state', 'in_progress');
+        gr.addQuery('u_scope', scopeKey);
+        gr.orderByDesc('sys_created_on');
+        gr.setLimit(1);
+        gr.query();
+        
+        if (gr.next()) {
+            var stats = this._newRunStats();
+            try {
+                var saved = JSON.parse(gr.u_stats.toString() || '{}');
+                for (var key in stats) {
+                    if (saved[key]) {
+                        stats[key] = parseInt(saved[key], 10) || 0;
+                    }
+                }
+            } catch (ex) {
+                this.log.warn('Could not read stats for cycle ' + gr.u_run_id + ' - totals restart from zero');
+            }
+            
+            return {
+                sysId: gr.sys_id.toString(),
+                runId: gr.u_run_id.toString(),
+                cursor: gr.u_qid_cursor.toString(),
+                pagesFetched: parseInt(gr.u_pages_fetched, 10) || 0,
+                qidsTotal: parseInt(gr.u_qids_total, 10) || 0,
+                executions: (parseInt(gr.u_executions, 10) || 0) + 1,
+                stats: stats,
+                resumed: true
+            };
+        }
+        
+        var runState = {
+            sysId: null,
+            runId: gs.generateGUID(),
+            cursor: '',
+            pagesFetched: 0,
+            qidsTotal: 0,
+            executions: 1,
+            stats: this._newRunStats(),
+            resumed: false
+        };
+        
+        // A preview starts its cycle in memory only
+        if (this.PREVIEW_MODE) {
+            return runState;
+        }
+        
+        gr = new GlideRecord(this.RUN_STATE_TABLE);
+        gr.initialize();
+        gr.u_run_id = runState.runId;
+        gr.u_scope = scopeKey;
+        gr.u_state = 'in_progress';
+        gr.u_started = new GlideDateTime();
+        gr.u_executions = 1;
+        gr.u_stats = JSON.stringify(runState.stats);
+        runState.sysId = gr.insert();
+        
+        return runState;
+    },
+    
+    /**
+     * Persist the cycle checkpoint
+     * @param {Object} runState - State from _loadRunState
+     * @param {boolean} complete - True when every QID in the cycle has been visited
+     */
+    _saveRunState: function(runState, complete) {
+        if (this.PREVIEW_MODE) return;
+        
+        var gr = new GlideRecord(this.RUN_STATE_TABLE);
+        if (!gr.get(runState.sysId)) {
+            this.log.warn('Run state record missing for cycle ' + runState.runId + ' - checkpoint not saved');
+            return;
+        }
+        
+        gr.u_qid_cursor = runState.cursor;
+        gr.u_pages_fetched = runState.pagesFetched;
+        gr.u_qids_total = runState.qidsTotal;
+        gr.u_executions = runState.executions;
+        gr.u_stats = JSON.stringify(runState.stats);
+        
+        if (complete) {
+            gr.u_state = 'complete';
+            gr.u_finished = new GlideDateTime();
+        }
+        
+        gr.update();
+    },
+    
+    /**
+     * Return the QIDs that sort after the cursor
+     * @param {Array} sortedQids - QIDs sorted with _compareQIDs
+     * @param {string} cursor - Last processed QID ('' = start of cycle)
+     * @returns {Array} QIDs still to visit in this cycle
+     */
+    _getQIDsAfterCursor: function(sortedQids, cursor) {
+        if (!cursor) {
+            return sortedQids;
+        }
+        
+        var self = this;
+        return sortedQids.filter(function(qid) {
+            return self._compareQIDs(qid, cursor) > 0;
+        });
+    },
+    
+    /**
+     * Sort comparator for QIDs - numeric where possible so the cursor is stable
+     */
+    _compareQIDs: function(a, b) {
+        var numA = /^\d+$/.test(a) ? parseInt(a, 10) : NaN;
+        var numB = /^\d+$/.test(b) ? parseInt(b, 10) : NaN;
+        
+        if (!isNaN(numA) && !isNaN(numB)) {
+            return numA - numB;
+        }
+        return a < b ? -1 : (a > b ? 1 : 0);
+    },
+    
+    // ============================================================
+    // RUN HISTORY METHODS
+    // ============================================================
+    
+    /**
+     * Open this execution's RUN_HISTORY_TABLE record (status running until _finishRunHistory)
+     * @param {Object} runOptions - Options passed to run()
+     */
+    _startRunHistory: function(runOptions) {
+        this.runHistory = { sysId: null, runId: gs.generateGUID(), qidsPulled: 0 };
+        
+        var gr = new GlideRecord(this.RUN_HISTORY_TABLE);
+        gr.initialize();
+        gr.u_run_id = this.runHistory.runId;
+        gr.u_scopes = runOptions.scopes || this.ACTIVE_SCOPES;
+        gr.u_options = JSON.stringify(runOptions);
+        gr.u_status = 'running';
+        gr.u_started = new GlideDateTime();
+        this.runHistory.sysId = gr.insert();
+    },
+    
+    /**
+     * Write the run statistics and final status to this execution's history record,
+     * then purge history older than RUN_HISTORY_RETENTION_DAYS
+     * A failure here is logged and never changes the run result.
+     * @param {Object} result - Value returned by _execute
+     */
+    _finishRunHistory: function(result) {
+        try {
+            if (!this.runHistory) return;   // Preview runs are not recorded
+            
+            var gr = new GlideRecord(this.RUN_HISTORY_TABLE);
+            if (!gr.get(this.runHistory.sysId)) {
+                this.log.warn('Run history record missing - statistics of this run not recorded');
+                return;
+            }
+            
+            var pull = this.pullStats || {};
+            var kb = this.kbStats || {};
+            var api = { requests: 0, retries: 0, waitedSeconds: 0 };
+            for (var name in this.apiClients) {
+                var budget = this.apiClients[name].getBudget();
+                api.requests += budget.requests;
+                api.retries += budget.retries;
+                api.waitedSeconds += budget.waitedSeconds;
+            }
+            
+            gr.u_finished = new GlideDateTime();
+            gr.u_duration = this._getElapsedSeconds();
+            gr.u_status = this._getRunStatus(result);
+            gr.u_error = this._getRunErrors(result).join('\n');
+            gr.u_cycle_id = result.runId || '';
+            gr.u_cycle_complete = !!result.cycleComplete;
+            
+            gr.u_pages = pull.pages || 0;
+            gr.u_hosts = pull.hosts || 0;
+            gr.u_detections = pull.detections || 0;
+            gr.u_malformed = pull.malformed || 0;
+            gr.u_pull_complete = !!pull.complete;
+            gr.u_incremental = !!pull.incremental;
+            gr.u_qids = this.runHistory.qidsPulled;
+            
+            // Result counters from _newRunStats, plus the remediation sweep and review queue
+            var counters = {
+                u_qids_processed: 'qidsProcessed', u_created: 'created', u_updated: 'updated',
+                u_reopened: 'reopened', u_suppressed: 'suppressed', u_ineligible: 'ineligible',
+                u_flagged: 'flaggedForClosure', u_closed: 'closed', u_skipped: 'skipped', u_errors: 'errors',
+                u_vanished_qids: 'vanishedQids', u_unmatched_hosts: 'unmatchedHosts',
+                u_duplicates_merged: 'duplicatesMerged'
+            };
+            for (var field in counters) {
+                gr.setValue(field, result[counters[field]] || 0);
+            }
+            
+            gr.u_api_calls = api.requests;
+            gr.u_api_retries = api.retries;
+            gr.u_api_wait_seconds = api.waitedSeconds;
+            gr.u_kb_qids = kb.qids || 0;
+            gr.u_kb_cache_hits = kb.cacheHits || 0;
+            gr.u_kb_change_checks = kb.changeChecks || 0;
+            gr.u_kb_fetched = kb.fetched || 0;
+            gr.update();
+            
+            this.log.info('Run ' + this.runHistory.runId + ' recorded in ' + this.RUN_HISTORY_TABLE + ' - status ' + gr.u_status);
+            this._purgeRunHistory();
+        } catch (ex) {
+            this.log.warn('Could not record run history: ' + ex.getMessage());
+        }
+    },
+    
+    /**
+     * Final status of an execution
+     * @param {Object} result - Value returned by _execute
+     * @returns {string} 'locked' (another run holds a scope), 'failed' (nothing processed),
+     *   'partial' (errors, incomplete pull or KB lookups stopped) or 'success'
+     */
+    _getRunStatus: function(result) {
+        if (result.reason === 'locked') {
+            return 'locked';
+        }
+        if (result.success === false) {
+            return 'failed';
+        }
+        if (result.errors > 0 || result.apiError || result.kbError || (this.pullStats && !this.pullStats.complete)) {
+            return 'partial';
+        }
+        return 'success';
+    },
+    
+    /**
+     * Error messages of an execution, for the history record
+     */
+    _getRunErrors: function(result) {
+        var errors = [];
+        if (result.error) {
+            errors.push(result.error);
+        } else if (this.pullStats && this.pullStats.apiError) {
+            errors.push(this.pullStats.apiError.getMessage());
+        }
+        if (this.kbError) {
+            errors.push('KB lookups stopped: ' + this.kbError.getMessage());
+        }
+        if (result.errors > 0) {
+            errors.push(result.errors + ' QID errors - see ' + this.RUN_OUTCOME_TABLE);
+        }
+        return errors;
+    },
+    
+    /**
+     * Log a QID processing error and keep it for the QID's run outcome
+     */
+    _logQIDError: function(qid, message) {
+        this.log.error(message);
+        if (!this.qidErrors[qid]) {
+            this.qidErrors[qid] = [];
+        }
+        this.qidErrors[qid].push(message);
+    },
+    
+    /**
+     * Open RITMs currently indexed for a QID
+     * @returns {Array} RITM sys_ids, one per route
+     */
+    _getIndexedRITMs: function(qid) {
+        var ritms = [];
+        if (this.ritmIndex && this.ritmIndex[qid]) {
+            for (var route in this.ritmIndex[qid]) {
+                ritms.push(this.ritmIndex[qid][route]);
+            }
+        }
+        return ritms;
+    },
+    
+    /**
+     * Record what this execution did to a QID as a RUN_OUTCOME_TABLE child of the run
+     * @param {string} qid - Qualys QID
+     * @param {string} source - 'pull' (detected this run) or 'sweep' (vanished from a complete pull)
+     * @param {Array} results - _processQID results, one per RITM route, or ['error']
+     * @param {Object} vulnGroup - Grouped vulnerability data (null when no longer detected)
+     * @param {Array} ritmsBefore - Open RITMs indexed for the QID before it was processed
+     */
+    _recordQIDOutcome: function(qid, source, results, vulnGroup, ritmsBefore) {
+        var errors = this.qidErrors[qid] || [];
+        delete this.qidErrors[qid];
+        
+        if (!this.runHistory || !this.runHistory.sysId) return;
+        
+        // RITMs touched: the ones open before (updated, flagged, closed) and any created or reopened
+        var ritms = ritmsBefore.slice();
+        var after = this._getIndexedRITMs(qid);
+        for (var i = 0; i < after.length; i++) {
+            if (ritms.indexOf(after[i]) === -1) {
+                ritms.push(after[i]);
+            }
+        }
+        
+        var gr = new GlideRecord(this.RUN_OUTCOME_TABLE);
+        gr.initialize();
+        gr.u_run = this.runHistory.sysId;
+        gr.u_qid = qid;
+        gr.u_source = source;
+        gr.u_outcome = results.join(',');
+        gr.u_ritms = ritms.join(',');
+        gr.u_hosts = vulnGroup ? vulnGroup.hosts.length : 0;
+        gr.u_severity = vulnGroup ? vulnGroup.severity : '';
+        gr.u_error = errors.join('\n');
+        gr.insert();
+    },
+    
+    /**
+     * Delete run history (with its QID outcomes) older than RUN_HISTORY_RETENTION_DAYS
+     */
+    _purgeRunHistory: function() {
+        if (!(this.RUN_HISTORY_RETENTION_DAYS > 0)) return;
+        
+        var cutoff = new GlideDateTime();
+        cutoff.addDaysUTC(-this.RUN_HISTORY_RETENTION_DAYS);
+        
+        var gr = new GlideRecord(this.RUN_HISTORY_TABLE);
+        gr.addQuery('u_started', '<', cutoff);
+        gr.query();
+        
+        var purged = 0;
+        while (gr.next()) {
+            var outcomes = new GlideRecord(this.RUN_OUTCOME_TABLE);
+            outcomes.addQuery('u_run', gr.sys_id.toString());
+            outcomes.deleteMultiple();
+            gr.deleteRecord();
+            purged++;
+        }
+        
+        if (purged > 0) {
+            this.log.info('Purged ' + purged + ' run history records older than ' + this.RUN_HISTORY_RETENTION_DAYS + ' days');
+        }
+    },
+    
+    // ============================================================
+    // RUN LOCK METHODS
+    // ============================================================
+    
+    /**
+     * Lock every scope of this execution, or none
+     * @param {Array} scopeNames - Scopes pulled by this run
+     * @returns {string|null} Why the run may not start, or null once every scope is locked
+     */
+    _acquireRunLocks: function(scopeNames) {
+        for (var i = 0; i < scopeNames.length; i++) {
+            var error = this._acquireRunLock(scopeNames[i]);
+            if (error) {
+                this._releaseRunLocks();
+                return error;
+            }
+        }
+        
+        this.runLocksRefreshed = new Date().getTime();
+        this.log.info('Locked scopes: ' + scopeNames.join(', '));
+        return null;
+    },
+    
+    /**
+     * Take the RUN_LOCK_TABLE lock of a scope, taking over a stale one
+     * GlideRecord has no atomic insert-if-absent, so the lock is written and read back:
+     * when two runs insert at the same moment the oldest record wins and the other backs off.
+     * @param {string} scopeName - Scope name
+     * @returns {string|null} Why the scope could not be locked, or null
+     */
+    _acquireRunLock: function(scopeName) {
+        var staleBefore = new GlideDateTime().getNumericValue() - this.RUN_LOCK_STALE_MINUTES * 60000;
+        
+        var gr = new GlideRecord(this.RUN_LOCK_TABLE);
+        gr.addQuery('u_scope', scopeName);
+        gr.query();
+        
+        while (gr.next()) {
+            if (new GlideDateTime(gr.u_heartbeat.toString()).getNumericValue() >= staleBefore) {
+                return this._describeRunLock(gr);
+            }
+            this.log.warn('Taking over stale lock - ' + this._describeRunLock(gr) +
+                          ' but not refreshed for over ' + this.RUN_LOCK_STALE_MINUTES + ' minutes');
+            gr.deleteRecord();
+        }
+        
+        var now = new GlideDateTime();
+        var lock = new GlideRecord(this.RUN_LOCK_TABLE);
+        lock.initialize();
+        lock.u_scope = scopeName;
+        lock.u_run_id = this.runHistory ? this.runHistory.runId : '';
+        lock.u_locked_by = gs.getUserName();
+        lock.u_locked_on = now;
+        lock.u_heartbeat = now;
+        var lockSysId = lock.insert();
+        if (!lockSysId) {
+            return 'scope "' + scopeName + '" could not be locked - insert into ' + this.RUN_LOCK_TABLE + ' failed';
+        }
+        
+        var winner = new GlideRecord(this.RUN_LOCK_TABLE);
+        winner.addQuery('u_scope', scopeName);
+        winner.orderBy('sys_created_on');
+        winner.orderBy('sys_id');
+        winner.setLimit(1);
+        winner.query();
+        
+        if (winner.next() && winner.sys_id.toString() !== lockSysId) {
+            var error = this._describeRunLock(winner);
+            if (lock.get(lockSysId)) {
+                lock.deleteRecord();
+            }
+            return error;
+        }
+        
+        this.runLocks.push({ sysId: lockSysId, scope: scopeName });
+        return null;
+    },
+    
+    /**
+     * Describe who holds a lock, e.g. for the run result
+     * @param {GlideRecord} lockGr - RUN_LOCK_TABLE record
+     */
+    _describeRunLock: function(lockGr) {
+        return 'scope "' + lockGr.u_scope + '" is locked by run ' + (lockGr.u_run_id.toString() || '(unknown)') +
+               ' (' + lockGr.u_locked_by + ', since ' + lockGr.u_locked_on + ')';
+    },
+    
+    /**
+     * Keep the held locks from going stale - called from every loop that can run for long
+     * (connection tests, detection pages, KB batches, QIDs, the sweep), writes at most once a minute
+     * @throws {QualysExceptionIntegration.RunLockLostError} If another run took over a lock
+     */
+    _refreshRunLocks: function() {
+        var now = new Date().getTime();
+        if (this.runLocks.length === 0 || now - this.runLocksRefreshed < 60000) return;
+        this.runLocksRefreshed = now;
+        
+        for (var i = 0; i < this.runLocks.length; i++) {
+            var gr = new GlideRecord(this.RUN_LOCK_TABLE);
+            if (!gr.get(this.runLocks[i].sysId)) {
+                throw new QualysExceptionIntegration.RunLockLostError('Lock on scope ' + this.runLocks[i].scope +
+                    ' was taken over as stale by another run - stopping so the scope is not worked twice');
+            }
+            gr.u_heartbeat = new GlideDateTime();
+            gr.update();
+        }
+    },
+    
+    /**
+     * Release the locks of this execution (a lock taken over meanwhile is left to its new owner)
+     */
+    _releaseRunLocks: function() {
+        for (var i = 0; i < this.runLocks.length; i++) {
+            var gr = new GlideRecord(this.RUN_LOCK_TABLE);
+            if (gr.get(this.runLocks[i].sysId)) {
+                gr.deleteRecord();
+            }
+        }
+        this.runLocks = [];
+    },
+    
+    // ============================================================
+    // PREVIEW METHODS
+    // ============================================================
+    
+    /**
+     * Host lines for the preview report
+     * @param {Array} entries - Snapshot-shaped host entries (see _toSnapshotEntry)
+     * @returns {Array} 'name (ip)' per host, marked when not in the CMDB
+     */
+    _formatPreviewHosts: function(entries) {
+        var hosts = [];
+        for (var i = 0; i < entries.length; i++) {
+            hosts.push((entries[i].name || 'Unknown') + ' (' + entries[i].ip + ')' +
+                       (entries[i].ciSysId ? '' : ' - NOT IN CMDB'));
+        }
+        return hosts;
+    },
+    
+    /**
+     * Log the preview report - what this run would have written
+     */
+    _logPreviewReport: function() {
+        var report = this.previewReport;
+        var lines = ['=== PREVIEW REPORT - nothing was written ==='];
+        
+        lines.push('RITMs to create: ' + report.creates.length);
+        for (var c = 0; c < report.creates.length; c++) {
+            var create = report.creates[c];
+            lines.push('  + QID ' + create.qid + (create.title ? ' - ' + create.title : '') + ' | ' + create.hosts.length + ' hosts (' +
+                       create.notInCmdb + ' not in CMDB) | policy ' + create.policy + ' until ' + create.dateto +
+                       ' | team ' + this._getGroupName(create.team) + (create.linkedTo ? ' | follows ' + create.linkedTo : ''));
+        }
+        
+        lines.push('RITMs to update: ' + report.updates.length);
+        for (var u = 0; u < report.updates.length; u++) {
+            var update = report.updates[u];
+            lines.push('  ~ ' + update.ritm + ' (QID ' + update.qid + ') | ' + update.hosts + ' hosts' +
+                       (update.snapshotInitialized ? ' | host snapshot would be initialized' :
+                        ' | added: ' + (update.added.join(', ') || 'none') + ' | remediated: ' + (update.removed.join(', ') || 'none')));
+        }
+        
+        lines.push('RITMs to reopen: ' + report.reopens.length);
+        for (var r = 0; r < report.reopens.length; r++) {
+            lines.push('  ^ ' + report.reopens[r].ritm + ' (QID ' + report.reopens[r].qid + ')');
+        }
+        
+        lines.push('RITMs to flag for closure: ' + report.flags.length);
+        for (var f = 0; f < report.flags.length; f++) {
+            lines.push('  - ' + report.flags[f].ritm + ' (QID ' + report.flags[f].qid + ', ' + report.flags[f].remediatedHosts + ' hosts remediated)');
+        }
+        
+        lines.push('RITMs the closure policy would close: ' + report.closures.length);
+        lines.push('Hosts for the unmatched host queue: ' + report.unmatchedHosts);
+        
+        this.log.info(lines.join('\n'));
+    },
+    
+    // ============================================================
+    // LIFECYCLE TEST METHOD
+    // ============================================================
+    
+    /**
+     * Run automated lifecycle test
+     * Tests: Creation -> Update (partial remediation) -> Update (new host) -> Flag for closure -> Cleanup
+     */
+    runLifecycleTest: function() {
+        this.log.info('');
+        this.log.info('╔══════════════════════════════════════════════════════════════╗');
+        this.log.info('║           QUALYS INTEGRATION LIFECYCLE TEST                  ║');
+        this.log.info('╚══════════════════════════════════════════════════════════════╝');
+        this.log.info('');
+        
+        var testQID = this.TEST_QID_PREFIX + new Date().getTime();
+        var testResults = {
+            stage1: false,
+            stage2: false,
+            stage3: false,
+            stage4: false,
+            cleanup: false
+        };
+        var ritmSysId = null;
+        
+        // The test creates and deletes its own RITMs, so it never runs as a preview
+        var configErrors = this._checkConfig({ PREVIEW_MODE: false });
+        if (configErrors.length > 0) {
+            testResults.error = 'Invalid configuration: ' + configErrors.join('; ');
+            this.log.error('Lifecycle test not run - ' + testResults.error);
+            return testResults;
+        }
+        
+        try {
+            // ==================== STAGE 1: Initial Detection ====================
+            this.log.info('');
+            this.log.info('═══ STAGE 1: Initial Detection ═══');
+            this.log.info('Creating RITM with 3 hosts for QID: ' + testQID);
+            
+            var stage1Data = {
+                qid: testQID,
+                severity: '4',
+                hosts: [
+                    { ip: '10.0.0.1', dns: 'test-host-A', hostname: 'test-host-A', assetId: 'TEST001', os: 'Windows Server 2019', status: 'Active' },
+                    { ip: '10.0.0.2', dns: 'test-host-B', hostname: 'test-host-B', assetId: 'TEST002', os: 'Windows Server 2019', status: 'Active' },
+                    { ip: '10.0.0.3', dns: 'test-host-C', hostname: 'test-host-C', assetId: 'TEST003', os: 'Windows Server 2019', status: 'Active' }
+                ]
+            };
+            
+            // Mock KB details
+            this.vulnDetailsCache[testQID] = {
+                title: 'Test Vulnerability for Lifecycle Testing',
+                cveList: ['CVE-2024-TEST1', 'CVE-2024-TEST2'],
+                cvssBase: '6.5',
+                cvss3Base: '7.5',
+                solution: 'Apply vendor patch',
+                diagnosis: 'This is a test vulnerability'
+            };
+            
+            var result1 = this._processQID(testQID, stage1Data);
+            
+            // Verify Stage 1
+            var ritm1 = this._findExistingRITM(testQID);
+            if (ritm1 && result1 === 'created') {
+                ritmSysId = ritm1.sys_id.toString();
+                this.log.info('✓ RITM created: ' + ritm1.number);
+                this.log.info('✓ Result: ' + result1);
+                testResults.stage1 = true;
+            } else {
+                this.log.error('✗ Stage 1 FAILED - RITM not created properly');
+            }
+            
+            // ==================== STAGE 2: Partial Remediation ====================
+            this.log.info('');
+            this.log.info('═══ STAGE 2: Partial Remediation ═══');
+            this.log.info('Removing host C (simulating remediation)');
+            
+            var stage2Data = {
+                qid: testQID,
+                severity: '4',
+                hosts: [
+                    { ip: '10.0.0.1', dns: 'test-host-A', hostname: 'test-host-A', assetId: 'TEST001', os: 'Windows Server 2019', status: 'Active' },
+                    { ip: '10.0.0.2', dns: 'test-host-B', hostname: 'test-host-B', assetId: 'TEST002', os: 'Windows Server 2019', status: 'Active' }
+                    // Host C removed - simulating remediation
+                ]
+            };
+            
+            var result2 = this._processQID(testQID, stage2Data);
+            
+            if (result2 === 'updated') {
+                this.log.info('✓ RITM updated');
+                this.log.info('✓ Check work notes for "test-host-C" remediation message');
+                testResults.stage2 = true;
+            } else {
+                this.log.error('✗ Stage 2 FAILED - Expected "updated", got "' + result2 + '"');
+            }
+            
+            // ==================== STAGE 3: New Host Affected ====================
+            this.log.info('');
+            this.log.info('═══ STAGE 3: New Host Affected ═══');
+            this.log.info('Adding host D (new detection)');
+            
+            var stage3Data = {
+                qid: testQID,
+                severity: '4',
+                hosts: [
                     { ip: '10.0.0.1', dns: 'test-host-A', hostname: 'test-host-A', assetId: 'TEST001', os: 'Windows Server 2019', status: 'Active' },
                     { ip: '10.0.0.2', dns: 'test-host-B', hostname: 'test-host-B', assetId: 'TEST002', os: 'Windows Server 2019', status: 'Active' },
                     { ip: '10.0.0.4', dns: 'test-host-D', hostname: 'test-host-D', assetId: 'TEST004', os: 'Windows Server 2019', status: 'Active' }
                 ]
             };
             
-            var result3 = this._processQID(testQID, stage3Data);
+            var result3 = this._processQID(testQID, stage3Data);
+            
+            if (result3 === 'updated') {
+                this.log.info('✓ RITM updated');
+                this.log.info('✓ Check work notes for "test-host-D" added message');
+                testResults.stage3 = true;
+            } else {
+                this.log.error('✗ Stage 3 FAILED - Expected "updated", got "' + result3 + '"');
+            }
+            
+            // ==================== STAGE 4: Full Remediation ====================
+            this.log.info('');
+            this.log.info('═══ STAGE 4: Full Remediation ═══');
+            this.log.info('Removing all hosts (simulating full remediation)');
+            
+            var stage4Data = {
+                qid: testQID,
+                severity: '4',
+                hosts: []  // All hosts remediated
+            };
+            
+            var result4 = this._processQID(testQID, stage4Data);
+            
+            if (result4 === 'flagged') {
+                this.log.info('✓ RITM flagged for closure');
+                this.log.info('✓ Check work notes for "ALL HOSTS REMEDIATED" message');
+                testResults.stage4 = true;
+            } else {
+                this.log.error('✗ Stage 4 FAILED - Expected "flagged", got "' + result4 + '"');
+            }
+            
+            // ==================== CLEANUP ====================
+            this.log.info('');
+            this.log.info('═══ CLEANUP ═══');
+            
+            if (ritmSysId) {
+                var ritmToDelete = new GlideRecord('sc_req_item');
+                if (ritmToDelete.get(ritmSysId)) {
+                    var ritmNumber = ritmToDelete.number.toString();
+                    var requestId = ritmToDelete.request.toString();
+                    
+                    ritmToDelete.deleteRecord();
+                    this._deleteRITMTracking(ritmSysId);
+                    this.log.info('✓ Deleted test RITM: ' + ritmNumber);
+                    
+                    // Delete parent request if empty
+                    var reqGr = new GlideRecord('sc_request');
+                    if (reqGr.get(requestId)) {
+                        var itemCheck = new GlideRecord('sc_req_item');
+                        itemCheck.addQuery('request', requestId);
+                        itemCheck.query();
+                        
+                        if (itemCheck.getRowCount() === 0) {
+                            reqGr.deleteRecord();
+                            this.log.info('✓ Deleted empty parent request');
+                        }
+                    }
+                    
+                    testResults.cleanup = true;
+                }
+            }
+            
+        } catch (ex) {
+            this.log.error('Lifecycle test error: ' + ex.getMessage());
+        }
+        
+        // ==================== SUMMARY ====================
+        this.log.info('');
+        this.log.info('╔══════════════════════════════════════════════════════════════╗');
+        this.log.info('║                    TEST RESULTS SUMMARY                      ║');
+        this.log.info('╚══════════════════════════════════════════════════════════════╝');
+        this.log.info('');
+        this.log.info('Stage 1 (Initial Detection):    ' + (testResults.stage1 ? '✓ PASSED' : '✗ FAILED'));
+        this.log.info('Stage 2 (Partial Remediation):  ' + (testResults.stage2 ? '✓ PASSED' : '✗ FAILED'));
+        this.log.info('Stage 3 (New Host Affected):    ' + (testResults.stage3 ? '✓ PASSED' : '✗ FAILED'));
+        this.log.info('Stage 4 (Full Remediation):     ' + (testResults.stage4 ? '✓ PASSED' : '✗ FAILED'));
+        this.log.info('Cleanup:                        ' + (testResults.cleanup ? '✓ PASSED' : '✗ FAILED'));
+        this.log.info('');
+        
+        var allPassed = testResults.stage1 && testResults.stage2 && testResults.stage3 && testResults.stage4 && testResults.cleanup;
+        this.log.info('Overall Result: ' + (allPassed ? '✓ ALL TESTS PASSED' : '✗ SOME TESTS FAILED'));
+        this.log.info('');
+        
+        return testResults;
+    },
+    
+    // ============================================================
+    // QUALYS API METHODS
+    // ============================================================
+    
+    /**
+     * Pull detections for every scope of the run
+     * Sets this.pullStats = { pages, hosts, detections, malformed, complete, filtered, incremental, changedQids, apiError } -
+     * complete only if every scope was pulled to its last page, filtered if any scope narrows
+     * the pull (see _getScopeFilters), changedQids only if every scope was pulled incrementally, apiError the last
+     * QualysApiClient.ApiError seen. An auth error or a deferred call stops the remaining scopes.
+     * @param {Array} scopeNames - Validated scope names
+     * @returns {Object|null} Detections grouped by QID (see _addDetection), or null if every scope failed
+     */
+    _pullVulnerabilities: function(scopeNames) {
+        this.log.info('Pulling vulnerabilities from Qualys API...');
+        
+        this.pullStats = {
+            pages: 0,
+            hosts: 0,
+            detections: 0,
+            malformed: 0,
+            complete: true,
+            filtered: false,
+            incremental: 0,
+            changedQids: {},    // QID -> true, reset to null once any scope is pulled in full
+            apiError: null
+        };
+        
+        var grouped = {};
+        var failed = 0;
+        
+        for (var n = 0; n < scopeNames.length; n++) {
+            if (!this._pullScope(scopeNames[n], this.QUALYS_SCOPES[scopeNames[n]], grouped)) {
+                failed++;
+                this.pullStats.complete = false;
+            }
+            
+            // Bad credentials fail every scope the same way - stop rather than lock the account.
+            // A deferred call means the rate limit is spent for longer than the run should wait.
+            var apiError = this.pullStats.apiError;
+            if (apiError && (apiError.kind === 'auth' || apiError.deferred)) {
+                if (n < scopeNames.length - 1) {
+                    this.log.error((apiError.deferred ? 'Qualys rate limit exhausted' : 'Qualys rejected the credentials') +
+                                   ' - remaining scopes skipped');
+                }
+                failed += scopeNames.length - n - 1;
+                break;
+            }
+        }
+        
+        // Host keys were only needed to drop detections returned by more than one scope
+        for (var qid in grouped) {
+            delete grouped[qid].hostKeys;
+        }
+        
+        if (failed === scopeNames.length) {
+            return null;
+        }
+        
+        this.log.info('Pull finished: ' + scopeNames.length + ' scopes (' + this.pullStats.incremental + ' incremental), ' +
+                     this.pullStats.pages + ' pages, ' + this.pullStats.hosts + ' hosts, ' + this.pullStats.detections + ' detections' +
+                     (this.pullStats.complete ? '' : ' - INCOMPLETE'));
+        
+        return grouped;
+    },
+    
+    /**
+     * Pull all detection pages for one scope into the QID map
+     * Follows truncation warnings (CODE 1980) page by page until the scope's full
+     * detection set has been retrieved. Each page is parsed as it arrives and released,
+     * so no more than one response body is held at a time. With INCREMENTAL_PULL_ENABLED
+     * the pulled delta is merged into the detection snapshot and the scope's open
+     * detections are grouped from the snapshot instead.
+     * Adds to this.pullStats and clears pullStats.complete if the scope stops early.
+     * @param {string} scopeName - Scope name
+     * @param {Object} scope - Scope definition from QUALYS_SCOPES
+     * @param {Object} grouped - QID map the scope's detections are added to
+     * @returns {boolean} False if the first page failed (the error is kept in pullStats.apiError)
+     */
+    _pullScope: function(scopeName, scope, grouped) {
+        var self = this;
+        var mode = this._getPullMode(scopeName, scope);
+        var pullStarted = new GlideDateTime();
+        
+        // Request parameters - an incremental pull includes Fixed so closures are seen
+        var baseParams = 'action=list&show_asset_id=1&status=New,Active,Re-Opened' + (mode.incremental ? ',Fixed' : '');
+        var scopeParams = this._buildScopeParams(scope);
+        baseParams += scopeParams;
+        
+        if (mode.incremental) {
+            baseParams += '&detection_updated_since=' + mode.since;
+        }
+        
+        this.log.info('Scope ' + scopeName + ': ' + (scopeParams ? scopeParams.substring(1) : 'whole subscription') +
+                     ' | ' + (mode.incremental ? 'incremental' : 'full') + ' pull (' + mode.reason + ')');
+        
+        var filters = this._getScopeFilters(scope);
+        if (filters.length > 0) {
+            this.pullStats.filtered = true;
+            this.log.info('Scope ' + scopeName + ' is filtered (' + filters.join(', ') + ') - no remediation sweep this run');
+        }
+        
+        // Truncation limit is the page size - Qualys returns a continuation URL when exceeded
+        if (this.TRUNCATION_LIMIT > 0) {
+            baseParams += '&truncation_limit=' + this.TRUNCATION_LIMIT;
+            this.log.info('Using page size (truncation limit): ' + this.TRUNCATION_LIMIT + ' hosts');
+        }
+        
+        // Detections go straight into the QID map, or through the snapshot when it is maintained
+        var snapshot = mode.snapshot ? this._openDetectionSnapshot(scopeName) : null;
+        var sink = function(detection) {
+            detection.host.scope = scopeName;
+            self._noteHostScan(detection.host);
+            if (snapshot) {
+                self._mergeDetection(snapshot, detection, mode.incremental);
+            } else {
+                self._addDetection(grouped, detection);
+            }
+        };
+        
+        var idMin = null;
+        var pageNumber = 0;
+        var complete = true;
+        
+        while (true) {
+            var params = baseParams + (idMin ? '&id_min=' + idMin : '');
+            pageNumber++;
+            
+            var body;
+            try {
+                body = this._fetchDetectionPage(params, pageNumber, scope.connection);
+            } catch (ex) {
+                if (!(ex instanceof QualysApiClient.ApiError)) throw ex;
+                
+                this.pullStats.apiError = ex;
+                if (pageNumber === 1) {
+                    this.log.error('Scope ' + scopeName + ' could not be pulled - ' + ex.getMessage() +
+                                   (ex.retryable ? ' (retryable)' : ''));
+                    return false;
+                }
+                this.log.warn('Page ' + pageNumber + ' failed - scope ' + scopeName + ' is INCOMPLETE - ' + ex.getMessage());
+                complete = false;
+                break;
+            }
+            
+            var parseStats = this._parseDetectionPage(body, sink);
+            var nextIdMin = this._getTruncationIdMin(body);
+            body = null;
+            
+            this.pullStats.pages++;
+            this.pullStats.hosts += parseStats.hosts;
+            this.pullStats.malformed += parseStats.malformed;
+            this._refreshRunLocks();
+            
+            this.log.info('Page ' + pageNumber + ': ' + parseStats.hosts + ' hosts, ' + parseStats.detections + ' detections' +
+                         (parseStats.malformed ? ', ' + parseStats.malformed + ' malformed blocks' : '') +
+                         (nextIdMin ? ' (continues at id_min=' + nextIdMin + ')' : nextIdMin === false ? ' (truncated)' : ' (last page)'));
+            
+            if (parseStats.truncated) {
+                this.log.error('Page ' + pageNumber + ' ended inside a HOST block - scope ' + scopeName + ' is INCOMPLETE');
+                complete = false;
+                break;
+            }
+            
+            if (nextIdMin === false) {
+                this.log.error('Page ' + pageNumber + ' was truncated with no continuation to follow - scope ' + scopeName + ' is INCOMPLETE');
+                complete = false;
+                break;
+            }
+            
+            if (!nextIdMin) {
+                break;
+            }
+            
+            // Guard against a continuation URL that does not advance
+            if (nextIdMin === idMin) {
+                this.log.error('Qualys returned the same id_min twice (' + idMin + ') - stopping, scope ' + scopeName + ' is INCOMPLETE');
+                complete = false;
+                break;
+            }
+            
+            idMin = nextIdMin;
+        }
+        
+        if (!complete) {
+            this.pullStats.complete = false;
+        }
+        
+        if (!snapshot) {
+            this.pullStats.changedQids = null;
+            return true;
+        }
+        
+        this._closeDetectionSnapshot(snapshot, mode.incremental, complete, grouped);
+        
+        if (mode.incremental) {
+            this.pullStats.incremental++;
+            if (this.pullStats.changedQids) {
+                for (var qid in snapshot.changedQids) {
+                    this.pullStats.changedQids[qid] = true;
+                }
+            }
+        } else {
+            this.pullStats.changedQids = null;
+        }
+        
+        // Only a complete pull moves the watermark - otherwise the next run asks for the same window again
+        if (complete) {
+            this._savePullState(scopeName, pullStarted, !mode.incremental);
+        }
+        
+        return true;
+    },
+    
+    // ============================================================
+    // CONNECTION METHODS
+    // ============================================================
+    
+    /**
+     * Check that a Qualys connection profile resolves and accepts its credentials
+     * Can be run on its own from Scripts - Background:
+     *   new QualysExceptionIntegration().testConnection('default');
+     * @param {string} connectionName - QUALYS_CONNECTIONS profile (default DEFAULT_CONNECTION)
+     * @returns {Object} { success, connection, url, source, version } or { success: false, connection, error, apiError }
+     */
+    testConnection: function(connectionName) {
+        var name = connectionName || this.DEFAULT_CONNECTION;
+        
+        try {
+            var client = this._getApiClient(name);
+            var about = client.testConnection();
+            
+            this.log.info('Connection ' + name + ' OK: ' + client.baseUrl + ' (' + client.source + ')' +
+                         (about.version ? ', Qualys ' + about.version : ''));
+            return { success: true, connection: name, url: client.baseUrl, source: client.source, version: about.version };
+        } catch (ex) {
+            if (!(ex instanceof QualysApiClient.ApiError)) throw ex;
+            
+            this.log.error('Connection ' + name + ' failed: ' + ex.getMessage());
+            return { success: false, connection: name, error: ex.getMessage(), apiError: ex.toObject() };
+        }
+    },
+    
+    /**
+     * Connection profiles used by a list of scopes, in scope order
+     * @param {Array} scopeNames - Validated scope names
+     * @returns {Array} Connection names
+     */
+    _getScopeConnections: function(scopeNames) {
+        var names = [];
+        for (var i = 0; i < scopeNames.length; i++) {
+            var name = this._getScopeConnection(scopeNames[i]);
+            if (names.indexOf(name) === -1) {
+                names.push(name);
+            }
+        }
+        return names;
+    },
+    
+    /**
+     * Connection profile a scope pulls from
+     */
+    _getScopeConnection: function(scopeName) {
+        var scope = this.QUALYS_SCOPES[scopeName];
+        return (scope && scope.connection) || this.DEFAULT_CONNECTION;
+    },
+    
+    /**
+     * Read the endpoint and credentials of a connection profile
+     * @param {string} name - QUALYS_CONNECTIONS profile
+     * @returns {Object} { baseUrl, username, password, source } or { error }
+     */
+    _resolveConnection: function(name) {
+        var profile = this.QUALYS_CONNECTIONS[name];
+        if (!profile) {
+            return { error: 'unknown connection "' + name + '"' };
+        }
+        
+        var connection = { baseUrl: '', username: '', password: '', source: '' };
+        
+        if (profile.alias) {
+            connection.source = 'credential alias ' + profile.alias;
+            var info = new sn_cc.ConnectionInfoProvider().getConnectionInfo(profile.alias);
+            if (!info) {
+                return { error: 'connection "' + name + '": no active connection for ' + connection.source };
+            }
+            connection.baseUrl = info.getAttribute('connection_url') || '';
+            connection.username = info.getCredentialAttribute('user_name') || '';
+            connection.password = info.getCredentialAttribute('password') || '';
+        } else if (profile.properties) {
+            connection.source = 'system properties ' + profile.properties + '.*';
+            connection.baseUrl = gs.getProperty(profile.properties + '.url', '');
+            connection.username = gs.getProperty(profile.properties + '.username', '');
+            connection.password = gs.getProperty(profile.properties + '.password', '');
+        } else {
+            return { error: 'connection "' + name + '" needs an alias or a properties prefix' };
+        }
+        
+        // Report which values are missing - never the values themselves
+        var missing = [];
+        if (!connection.baseUrl) missing.push('URL');
+        if (!connection.username) missing.push('user name');
+        if (!connection.password) missing.push('password');
+        if (missing.length > 0) {
+            return { error: 'connection "' + name + '" (' + connection.source + ') has no ' + missing.join(', ') };
+        }
+        
+        return connection;
+    },
+    
+    /**
+     * Get the Qualys API client for a connection profile
+     * @param {string} connectionName - QUALYS_CONNECTIONS profile (default DEFAULT_CONNECTION)
+     * @returns {QualysApiClient}
+     * @throws {QualysApiClient.ApiError} Kind 'config' if the profile cannot be resolved
+     */
+    _getApiClient: function(connectionName) {
+        var name = connectionName || this.DEFAULT_CONNECTION;
+        
+        if (!this.apiClients[name]) {
+            var connection = this._resolveConnection(name);
+            if (connection.error) {
+                throw new QualysApiClient.ApiError({ kind: 'config', text: connection.error, label: 'Connection ' + name });
+            }
+            
+            this.apiClients[name] = new QualysApiClient({
+                baseUrl: connection.baseUrl,
+                username: connection.username,
+                password: connection.password,
+                log: this.log,
+                maxAttempts: this.API_MAX_ATTEMPTS,
+                retryBaseSeconds: this.API_RETRY_BASE_SECONDS,
+                retryMaxSeconds: this.API_RETRY_MAX_SECONDS,
+                rateLimitReserve: this.API_RATE_LIMIT_RESERVE,
+                maxWaitSeconds: this.API_MAX_WAIT_SECONDS,
+                source: connection.source
+            });
+        }
+        
+        return this.apiClients[name];
+    },
+    
+    /**
+     * Connection used for KnowledgeBase lookups - the first one of the run
+     */
+    _getKBConnection: function() {
+        return this.runConnections.length > 0 ? this.runConnections[0] : this.DEFAULT_CONNECTION;
+    },
+    
+    /**
+     * Log the Qualys API budget left after this run, per connection
+     * @returns {Object|null} Connection name -> QualysApiClient.getBudget(), or null if no request was made
+     */
+    _logApiBudget: function() {
+        var budgets = null;
+        
+        for (var name in this.apiClients) {
+            this.log.info('Qualys API budget (' + name + '): ' + this.apiClients[name].describeBudget());
+            budgets = budgets || {};
+            budgets[name] = this.apiClients[name].getBudget();
+        }
+        
+        return budgets;
+    },
+    
+    /**
+     * Fetch a single page of host detections
+     * @param {string} params - Form-encoded request parameters
+     * @param {number} pageNumber - Page number (for logging)
+     * @param {string} connectionName - Connection profile of the scope (default DEFAULT_CONNECTION)
+     * @returns {string} Response body
+     * @throws {QualysApiClient.ApiError} If Qualys refused the request
+     */
+    _fetchDetectionPage: function(params, pageNumber, connectionName) {
+        return this._getApiClient(connectionName).post('/api/2.0/fo/asset/host/vm/detection/', params, 'Page ' + pageNumber);
+    },
+    
+    /**
+     * Read the id_min continuation value from a truncation WARNING block
+     * @param {string} xmlBody - Detection page XML
+     * @returns {string|null|boolean} id_min for the next page, null if this is the last page, or
+     *   false if Qualys truncated the page without a continuation the pull can follow
+     */
+    _getTruncationIdMin: function(xmlBody) {
+        // The WARNING block follows the host list - search from the end rather than scanning the whole page
+        var warningStart = xmlBody.lastIndexOf('<WARNING>');
+        if (warningStart === -1) {
+            return null;
+        }
+        
+        var warning = this._extractTag(xmlBody.substring(warningStart), 'WARNING');
+        if (!warning || this._extractTag(warning, 'CODE') !== '1980') {
+            return null;
+        }
+        
+        var url = this._cleanCDATA(this._extractTag(warning, 'URL')).replace(/&amp;/g, '&');
+        var match = /[?&]id_min=(\d+)/.exec(url);
+        if (!match) {
+            this.log.error('Truncation warning without id_min in URL: ' + url);
+            return false;
+        }
+        
+        return match[1];
+    },
+    
+    /**
+     * Parse a detection page host by host, handing each detection to a sink
+     * HOST blocks are located with a tag scanner that steps over CDATA sections
+     * (RESULTS often contain markup), accepts attributes and self-closing tags,
+     * and never builds a flat detection array. Malformed blocks are logged with
+     * the host they belong to and counted rather than silently dropped.
+     * @param {string} xmlBody - Raw XML page from Qualys
+     * @param {Function} sink - Called with { host, qid, severity, status, firstFound, lastFound }
+     * @returns {Object} { hosts, detections, malformed, truncated } - truncated if the page ends inside a HOST
+     */
+    _parseDetectionPage: function(xmlBody, sink) {
+        var stats = { hosts: 0, detections: 0, malformed: 0, truncated: false };
+        var pos = 0;
+        var tag;
+        
+        while ((tag = this._nextTag(xmlBody, pos)) !== null) {
+            pos = tag.end;
+            if (tag.name !== 'HOST' || tag.type !== 'open') continue;
+            
+            var block = this._readChildren(xmlBody, tag.end);
+            if (!block.closeTag || block.closeTag.name !== 'HOST') {
+                // Skip to the HOST's own closing tag if there is one - otherwise the page was cut off
+                var context = xmlBody.substr(tag.end, 500);
+                var hostContext = this._describeHostContext({ hostId: this._extractTag(context, 'ID'), ip: this._extractTag(context, 'IP') });
+                var close = this._nextTag(xmlBody, tag.end);
+                while (close && !(close.type === 'close' && close.name === 'HOST')) {
+                    close = this._nextTag(xmlBody, close.end);
+                }
+
+                stats.malformed++;
+                if (!close) {
+                    this.log.error('Unterminated HOST block at offset ' + tag.start + ' for ' + hostContext + ' - rest of page lost');
+                    stats.truncated = true;
+                    break;
+                }
+
+                this.log.warn('Malformed HOST block at offset ' + tag.start + ' for ' + hostContext + ' - host skipped');
+                pos = close.end;
+                continue;
+            }
+            pos = block.closeTag.end;
+            stats.hosts++;
+            
+            var host = this._parseHostElement(block.children);
+            var detectionList = this._findChild(block.children, 'DETECTION_LIST');
+            if (!detectionList) continue;
+            
+            var detections = this._readChildren(detectionList.inner, 0);
+            if (detections.closeTag || !detections.complete) {
+                this.log.warn('Malformed DETECTION_LIST for ' + this._describeHostContext(host) + ' - host skipped');
+                stats.malformed++;
+                continue;
+            }
+            
+            for (var i = 0; i < detections.children.length; i++) {
+                if (detections.children[i].name !== 'DETECTION') continue;
+                
+                var fields = this._readChildren(detections.children[i].inner, 0);
+                var qid = fields.complete ? this._childText(fields.children, 'QID') : '';
+                if (!/^\d+$/.test(qid)) {
+                    this.log.warn('Malformed DETECTION ' + (i + 1) + ' for ' + this._describeHostContext(host) +
+                                  (qid ? ' - invalid QID "' + qid + '"' : ' - missing QID'));
+                    stats.malformed++;
+                    continue;
+                }
+                
+                stats.detections++;
+                sink({
+                    host: host,
+                    qid: qid,
+                    severity: this._childText(fields.children, 'SEVERITY'),
+                    status: this._childText(fields.children, 'STATUS'),
+                    firstFound: this._childText(fields.children, 'FIRST_FOUND_DATETIME'),
+                    lastFound: this._childText(fields.children, 'LAST_FOUND_DATETIME')
+                });
+            }
+        }
+        
+        this.log.debug('Parsed ' + stats.hosts + ' hosts, ' + stats.detections + ' vulnerability detections');
+        return stats;
+    },
+    
+    /**
+     * Build a host object from the child elements of a HOST block
+     * @param {Array} children - From _readChildren
+     * @returns {Object} { hostId, ip, dns, assetId, netbios, os, hostname }
+     */
+    _parseHostElement: function(children) {
+        var host = {
+            hostId: this._childText(children, 'ID'),
+            ip: this._childText(children, 'IP'),
+            dns: this._childText(children, 'DNS'),
+            assetId: this._childText(children, 'ASSET_ID'),
+            netbios: this._childText(children, 'NETBIOS'),
+            os: this._childText(children, 'OS'),
+            hostname: this._childText(children, 'HOSTNAME'),
+            lastScanned: this._childText(children, 'LAST_VM_SCANNED_DATE')
+        };
+        
+        // Newer responses carry the hostname inside DNS_DATA
+        var dnsData = this._findChild(children, 'DNS_DATA');
+        if (!host.hostname && dnsData) {
+            host.hostname = this._childText(this._readChildren(dnsData.inner, 0).children, 'HOSTNAME');
+        }
+        
+        // Use DNS as hostname fallback
+        if (!host.hostname && host.dns) {
+            host.hostname = host.dns;
+        }
+        
+        return host;
+    },
+    
+    /**
+     * Describe a host for parser warnings
+     */
+    _describeHostContext: function(host) {
+        return 'host ID ' + (host.hostId || '?') + (host.ip ? ' (' + host.ip + ')' : '');
+    },
+    
+    /**
+     * Make KB details available for a list of QIDs
+     * Details come from KB_TABLE; QIDs not in the table are fetched from Qualys, and
+     * entries not checked for KB_REFRESH_HOURS are re-requested with last_modified_after
+     * so only QIDs Qualys changed since are downloaded again.
+     * @param {Array} qidList - Array of QIDs
+     */
+    _batchFetchVulnDetails: function(qidList) {
+        var cached = this._loadKBRows(qidList);
+        var refreshBefore = new GlideDateTime().getNumericValue() - this.KB_REFRESH_HOURS * 3600000;
+        var missing = [];
+        var stale = [];
+        
+        for (var q = 0; q < qidList.length; q++) {
+            var row = cached[qidList[q]];
+            if (!row) {
+                missing.push(qidList[q]);
+            } else if (row.lastChecked < refreshBefore) {
+                stale.push(qidList[q]);
+            }
+        }
+        
+        this.kbStats = { qids: qidList.length, cacheHits: qidList.length - missing.length, changeChecks: stale.length, fetched: missing.length };
+        this.log.info('KB cache: ' + (qidList.length - missing.length) + ' of ' + qidList.length + ' QIDs cached, ' +
+                     stale.length + ' due for a change check, ' + missing.length + ' to fetch (batches of ' + this.KB_BATCH_SIZE + ')');
+        
+        // Oldest checks first, so each batch asks for changes since roughly the same time
+        stale.sort(function(a, b) { return cached[a].lastChecked - cached[b].lastChecked; });
+        
+        var work = [{ qids: missing, cached: null }, { qids: stale, cached: cached }];
+        for (var w = 0; w < work.length; w++) {
+            var list = work[w].qids;
+            
+            for (var i = 0; i < list.length; i += this.KB_BATCH_SIZE) {
+                this._refreshRunLocks();
+                var batch = list.slice(i, Math.min(i + this.KB_BATCH_SIZE, list.length));
+                var modifiedAfter = work[w].cached ? this._toQualysDateTime(work[w].cached[batch[0]].lastChecked) : null;
+                
+                if (!this._fetchKBBatch(batch, modifiedAfter)) {
+                    this.log.error('KB lookups stopped - ' + this.kbError.getMessage());
+                    return;
+                }
+                
+                if (i > 0 && i % 100 === 0) {
+                    this.log.debug('KB fetch progress: ' + i + '/' + list.length);
+                }
+            }
+        }
+    },
+    
+    /**
+     * Fetch KB details for a batch of QIDs and store them in KB_TABLE
+     * A transient failure that outlasts the client's retries only loses this batch;
+     * a deferred call or a fatal error stops further lookups.
+     * @param {Array} qidBatch - Array of QIDs
+     * @param {string} modifiedAfter - Only return QIDs changed since (Qualys date-time), null for all
+     * @returns {boolean} False if KB lookups should stop (the error is kept in this.kbError)
+     */
+    _fetchKBBatch: function(qidBatch, modifiedAfter) {
+        var params = 'action=list&details=All&ids=' + qidBatch.join(',') +
+                     (modifiedAfter ? '&last_modified_after=' + modifiedAfter : '');
+        var body;
+        try {
+            body = this._getApiClient(this._getKBConnection()).post('/api/2.0/fo/knowledge_base/vuln/', params,
+                                             'KB batch (' + qidBatch.length + ' QIDs' + (modifiedAfter ? ', changed since ' + modifiedAfter : '') + ')');
+        } catch (ex) {
+            if (!(ex instanceof QualysApiClient.ApiError)) throw ex;
+            
+            if (ex.retryable && !ex.deferred) {
+                this.log.warn('KB batch fetch failed after ' + ex.attempts + ' attempts, batch skipped: ' + ex.getMessage());
+                return true;
+            }
+            this.kbError = ex;
+            return false;
+        }
+        
+        var parsed;
+        try {
+            parsed = this._parseKBResponse(body);
+        } catch (ex) {
+            this.log.warn('KB batch parse error: ' + ex.getMessage());
+            return true;
+        }
+        
+        // A change check that returns nothing for a QID still counts as a check
+        var checked = new GlideDateTime();
+        for (var i = 0; i < qidBatch.length; i++) {
+            var qid = qidBatch[i];
+            if (parsed.hasOwnProperty(qid)) {
+                this.vulnDetailsCache[qid] = parsed[qid];
+                this._saveKBRow(qid, parsed[qid], checked);
+            } else if (modifiedAfter) {
+                this._saveKBRow(qid, null, checked);
+            }
+        }
+        
+        if (modifiedAfter) {
+            this.log.debug('KB change check: ' + Object.keys(parsed).length + ' of ' + qidBatch.length + ' QIDs changed since ' + modifiedAfter);
+        }
+        return true;
+    },
+    
+    /**
+     * Load KB_TABLE rows for a list of QIDs into vulnDetailsCache
+     * @param {Array} qidList - Array of QIDs
+     * @returns {Object} QID -> { sysId, lastChecked } (epoch ms) for QIDs found in the table -
+     *   rows from another KB_CACHE_VERSION are loaded but left out, so they are fetched again
+     */
+    _loadKBRows: function(qidList) {
+        var rows = {};
+        
+        for (var i = 0; i < qidList.length; i += this.KB_BATCH_SIZE) {
+            var gr = new GlideRecord(this.KB_TABLE);
+            gr.addQuery('u_qid', 'IN', qidList.slice(i, i + this.KB_BATCH_SIZE).join(','));
+            gr.query();
+            
+            while (gr.next()) {
+                var qid = gr.u_qid.toString();
+                this.vulnDetailsCache[qid] = this._kbDetailsFromRecord(gr);
+                if (parseInt(gr.u_cache_version.toString(), 10) !== this.KB_CACHE_VERSION) continue;
+                
+                rows[qid] = {
+                    sysId: gr.sys_id.toString(),
+                    lastChecked: gr.u_last_checked.nil() ? 0 : new GlideDateTime(gr.u_last_checked.toString()).getNumericValue()
+                };
+            }
+        }
+        
+        return rows;
+    },
+    
+    /**
+     * Insert or update the KB_TABLE row for a QID
+     * @param {string} qid - QID
+     * @param {Object} details - Parsed KB details, or null to only record the check time
+     * @param {GlideDateTime} checked - When Qualys was asked
+     */
+    _saveKBRow: function(qid, details, checked) {
+        // A preview keeps fetched details in vulnDetailsCache only
+        if (this.PREVIEW_MODE) return;
+        
+        var gr = new GlideRecord(this.KB_TABLE);
+        gr.addQuery('u_qid', qid);
+        gr.setLimit(1);
+        gr.query();
+        
+        if (!gr.next()) {
+            if (!details) return;
+            gr.initialize();
+            gr.u_qid = qid;
+        }
+        
+        if (details) {
+            gr.u_title = details.title;
+            gr.u_cve_list = details.cveList.join(',');
+            gr.u_cve_urls = JSON.stringify(details.cveUrls);
+            gr.u_cvss_base = details.cvssBase;
+            gr.u_cvss3_base = details.cvss3Base;
+            gr.u_solution = details.solution;
+            gr.u_diagnosis = details.diagnosis;
+            gr.u_consequence = details.consequence;
+            gr.u_vendor_refs = details.vendorRefs.join(',');
+            gr.u_patchable = details.patchable;
+            gr.u_published = details.published;
+            gr.u_last_modified = details.lastModified;
+            gr.u_cvss3_vector = details.cvss3Vector;
+            gr.u_cvss3_temporal = details.cvss3Temporal;
+            gr.u_threat_intel = details.threatIntel.join(',');
+            gr.u_cisa_kev = details.cisaKev;
+            gr.u_cache_version = this.KB_CACHE_VERSION;
+        }
+        gr.u_last_checked = checked;
+        
+        if (gr.isNewRecord()) {
+            gr.insert();
+        } else {
+            gr.update();
+        }
+    },
+    
+    /**
+     * Rebuild KB details (shaped like _parseKBResponse output) from a KB_TABLE row
+     */
+    _kbDetailsFromRecord: function(gr) {
+        var split = function(value) {
+            return value ? value.split(',') : [];
+        };
+        
+        return {
+            title: gr.u_title.toString(),
+            cveList: split(gr.u_cve_list.toString()),
+            cveUrls: gr.u_cve_urls.nil() ? {} : JSON.parse(gr.u_cve_urls.toString()),
+            cvssBase: gr.u_cvss_base.toString(),
+            cvss3Base: gr.u_cvss3_base.toString(),
+            solution: gr.u_solution.toString(),
+            diagnosis: gr.u_diagnosis.toString(),
+            consequence: gr.u_consequence.toString(),
+            vendorRefs: split(gr.u_vendor_refs.toString()),
+            patchable: gr.u_patchable.toString() === 'true',
+            published: gr.u_published.toString(),
+            lastModified: gr.u_last_modified.toString(),
+            cvss3Vector: gr.u_cvss3_vector.toString(),
+            cvss3Temporal: gr.u_cvss3_temporal.toString(),
+            threatIntel: split(gr.u_threat_intel.toString()),
+            cisaKev: gr.u_cisa_kev.toString() === 'true'
+        };
+    },
+    
+    /**
+     * Format epoch milliseconds as a Qualys API date-time (YYYY-MM-DDTHH:MM:SSZ)
+     */
+    _toQualysDateTime: function(ms) {
+        var gdt = new GlideDateTime();
+        gdt.setNumericValue(ms);
+        return gdt.getValue().replace(' ', 'T') + 'Z';
+    },
+    
+    /**
+     * Parse KB response
+     * @param {string} xmlBody - KB API response
+     * @returns {Object} QID -> { title, cveList, cveUrls, cvssBase, cvss3Base, cvss3Vector, cvss3Temporal,
+     *   threatIntel, cisaKev, solution, diagnosis, consequence, vendorRefs, patchable, published, lastModified }
+     */
+    _parseKBResponse: function(xmlBody) {
+        var parsed = {};
+        var vulnRegex = /<VULN>([\s\S]*?)<\/VULN>/g;
+        var vulnMatch;
+        
+        while ((vulnMatch = vulnRegex.exec(xmlBody)) !== null) {
+            var vulnBlock = vulnMatch[1];
+            var qid = this._extractTag(vulnBlock, 'QID');
+            
+            if (qid) {
+                var cves = this._parseCveList(qid, vulnBlock);
+                
+                // Vendor advisories (e.g. MS24-001, RHSA-2024:0001)
+                var vendorRefs = [];
+                var refRegex = /<VENDOR_REFERENCE>[\s\S]*?<ID>([\s\S]*?)<\/ID>/g;
+                var refMatch;
+                while ((refMatch = refRegex.exec(vulnBlock)) !== null) {
+                    vendorRefs.push(this._cleanCDATA(refMatch[1]));
+                }
+                
+                // Qualys threat indicators, e.g. Active_Attacks -> "Active Attacks"
+                var threatIntel = [];
+                var threatRegex = /<THREAT_INTEL\b[^>]*>([\s\S]*?)<\/THREAT_INTEL>/g;
+                var threatMatch;
+                while ((threatMatch = threatRegex.exec(this._extractTag(vulnBlock, 'THREAT_INTELLIGENCE'))) !== null) {
+                    var indicator = this._cleanCDATA(threatMatch[1]).replace(/_/g, ' ');
+                    if (indicator && threatIntel.indexOf(indicator) === -1) {
+                        threatIntel.push(indicator);
+                    }
+                }
+                
+                var cvss3 = this._extractTag(vulnBlock, 'CVSS_V3');
+                
+                parsed[qid] = {
+                    title: this._cleanCDATA(this._extractTag(vulnBlock, 'TITLE')),
+                    cveList: cves.ids,
+                    cveUrls: cves.urls,
+                    cvssBase: this._extractTag(vulnBlock, 'CVSS/BASE') || this._extractTagPath(vulnBlock, 'CVSS', 'BASE'),
+                    cvss3Base: this._extractTag(vulnBlock, 'CVSS_V3/BASE') || this._extractTagPath(vulnBlock, 'CVSS_V3', 'BASE'),
+                    cvss3Vector: this._cleanCDATA(this._extractTag(cvss3, 'VECTOR_STRING')),
+                    cvss3Temporal: this._cleanCDATA(this._extractTag(cvss3, 'TEMPORAL')),
+                    threatIntel: threatIntel,
+                    cisaKev: /cisa known exploited/i.test(threatIntel.join(',')),
+                    solution: this._cleanCDATA(this._extractTag(vulnBlock, 'SOLUTION')),
+                    diagnosis: this._cleanCDATA(this._extractTag(vulnBlock, 'DIAGNOSIS')),
+                    consequence: this._cleanCDATA(this._extractTag(vulnBlock, 'CONSEQUENCE')),
+                    vendorRefs: vendorRefs,
+                    patchable: this._extractTag(vulnBlock, 'PATCHABLE') === '1',
+                    published: this._extractTag(vulnBlock, 'PUBLISHED_DATETIME'),
+                    lastModified: this._extractTag(vulnBlock, 'LAST_SERVICE_MODIFICATION_DATETIME')
+                };
+            }
+        }
+        
+        return parsed;
+    },
+    
+    /**
+     * Extract every CVE in a VULN block's CVE_LIST
+     * IDs are normalized to upper case, validated, de-duplicated and sorted by year and number.
+     * @param {string} qid - QID (for logging)
+     * @param {string} vulnBlock - Content of a VULN element
+     * @returns {Object} { ids: [], urls: { id: url } }
+     */
+    _parseCveList: function(qid, vulnBlock) {
+        var result = { ids: [], urls: {} };
+        var listBlock = this._extractTag(vulnBlock, 'CVE_LIST');
+        if (!listBlock) return result;
+        
+        var cveRegex = /<CVE>([\s\S]*?)<\/CVE>/g;
+        var cveMatch;
+        var invalid = [];
+        
+        while ((cveMatch = cveRegex.exec(listBlock)) !== null) {
+            var id = this._cleanCDATA(this._extractTag(cveMatch[1], 'ID')).toUpperCase();
+            
+            if (!/^CVE-\d{4}-\d{4,}$/.test(id)) {
+                invalid.push(id || '(empty)');
+                continue;
+            }
+            
+            if (!result.urls.hasOwnProperty(id)) {
+                result.ids.push(id);
+                result.urls[id] = this._cleanCDATA(this._extractTag(cveMatch[1], 'URL'));
+            }
+        }
+        
+        if (invalid.length > 0) {
+            this.log.warn('QID ' + qid + ': ignored ' + invalid.length + ' malformed CVE IDs: ' + invalid.join(', '));
+        }
+        
+        result.ids.sort(this._compareCves);
+        return result;
+    },
+    
+    /**
+     * Order CVE IDs by year, then by sequence number
+     */
+    _compareCves: function(a, b) {
+        var pa = a.split('-');
+        var pb = b.split('-');
+        return (parseInt(pa[1], 10) - parseInt(pb[1], 10)) || (parseInt(pa[2], 10) - parseInt(pb[2], 10));
+    },
+    
+    /**
+     * Format a CVE list for the identified_cves variable, cut to CVE_VARIABLE_MAX_LENGTH
+     * @param {string} qid - QID (for logging)
+     * @param {Array} cveList - Sorted CVE IDs
+     * @returns {string} Comma list, ending in "(+N more - see justification)" if cut
+     */
+    _formatCveVariable: function(qid, cveList) {
+        var value = cveList.join(', ');
+        if (value.length <= this.CVE_VARIABLE_MAX_LENGTH) {
+            return value;
+        }
+        
+        // Leave room for the overflow note, which is at most this long
+        var room = this.CVE_VARIABLE_MAX_LENGTH - (' (+' + cveList.length + ' more - see justification)').length;
+        var kept = 0;
+        var length = 0;
+        while (kept < cveList.length && length + (kept ? 2 : 0) + cveList[kept].length <= room) {
+            length += (kept ? 2 : 0) + cveList[kept].length;
+            kept++;
+        }
+        
+        this.log.warn('QID ' + qid + ': ' + cveList.length + ' CVEs exceed identified_cves (' + this.CVE_VARIABLE_MAX_LENGTH +
+                      ' chars) - ' + kept + ' listed, full list in the justification');
+        return cveList.slice(0, kept).join(', ') + ' (+' + (cveList.length - kept) + ' more - see justification)';
+    },
+    
+    /**
+     * Compare a RITM's recorded CVE list with the current KB list
+     * @param {Array} previous - CVE IDs recorded on the RITM
+     * @param {Array} current - CVE IDs from the KB
+     * @returns {Object} { added: [], removed: [] }
+     */
+    _diffCves: function(previous, current) {
+        var diff = { added: [], removed: [] };
+        var i;
+        
+        for (i = 0; i < current.length; i++) {
+            if (previous.indexOf(current[i]) === -1) diff.added.push(current[i]);
+        }
+        for (i = 0; i < previous.length; i++) {
+            if (current.indexOf(previous[i]) === -1) diff.removed.push(previous[i]);
+        }
+        
+        return diff;
+    },
+    
+    /**
+     * RITM variables populated from KB details
+     * @param {string} qid - QID (for logging)
+     * @param {Object} vulnDetails - KB details (may be null)
+     * @returns {Object} Variable name -> value ('' when the KB has nothing for it)
+     */
+    _buildKBVariables: function(qid, vulnDetails) {
+        if (!vulnDetails) return {};
+        
+        var cves = vulnDetails.cveList || [];
+        var yesNo = function(flag) {
+            return flag === undefined ? '' : (flag ? 'Yes' : 'No');
+        };
+        
+        return {
+            identified_cves: cves.length > 0 ? this._formatCveVariable(qid, cves) : '',
+            highest_cvss: vulnDetails.cvss3Base || vulnDetails.cvssBase || '',
+            cvss_v3_vector: vulnDetails.cvss3Vector || '',
+            cvss_temporal_score: vulnDetails.cvss3Temporal || '',
+            threat_indicators: (vulnDetails.threatIntel || []).join(', '),
+            cisa_known_exploited: yesNo(vulnDetails.cisaKev),
+            patch_available: yesNo(vulnDetails.patchable),
+            vendor_references: (vulnDetails.vendorRefs || []).join(', '),
+            vulnerability_consequence: vulnDetails.consequence || ''
+        };
+    },
+    
+    /**
+     * Get vulnerability details, reading through to KB_TABLE for QIDs not loaded yet
+     * @param {string} qid - QID to lookup
+     * @returns {Object|null} Vulnerability details
+     */
+    _getVulnDetails: function(qid) {
+        if (!this.vulnDetailsCache.hasOwnProperty(qid)) {
+            this.vulnDetailsCache[qid] = null;
+            this._loadKBRows([qid]);
+        }
+        return this.vulnDetailsCache[qid];
+    },
+    
+    // ============================================================
+    // DATA PROCESSING METHODS
+    // ============================================================
+    
+    /**
+     * Add one detection to the QID map
+     * Detections arrive from the page parser (or the detection snapshot) one at a time,
+     * so the flat detection list is never built.
+     * @param {Object} grouped - QID -> { qid, severity, hosts, hostKeys }
+     * @param {Object} vuln - Detection { host, qid, severity, status, firstFound, lastFound }
+     */
+    _addDetection: function(grouped, vuln) {
+        var qid = vuln.qid;
+        
+        if (!grouped[qid]) {
+            grouped[qid] = {
+                qid: qid,
+                severity: vuln.severity,
+                hosts: [],
+                hostKeys: {}
+            };
+        }
+        
+        // Overlapping scopes return the same detection more than once
+        var hostKey = this._getHostKey(vuln.host);
+        if (grouped[qid].hostKeys[hostKey]) return;
+        grouped[qid].hostKeys[hostKey] = true;
+        
+        this.pullStats.detections++;
+        grouped[qid].hosts.push({
+            hostId: vuln.host.hostId,
+            ip: vuln.host.ip,
+            dns: vuln.host.dns,
+            netbios: vuln.host.netbios,
+            hostname: vuln.host.hostname,
+            assetId: vuln.host.assetId,
+            os: vuln.host.os,
+            scope: vuln.host.scope || '',
+            status: vuln.status,
+            firstFound: vuln.firstFound,
+            lastFound: vuln.lastFound
+        });
+    },
+    
+    /**
+     * Process a QID as one RITM, or as one RITM per owning team when SPLIT_RITM_BY_TEAM is set
+     * A team that still holds an open RITM but no longer owns an affected host gets
+     * an empty host list, so its RITM is flagged like a remediated QID.
+     * @param {string} qid - Qualys QID
+     * @param {Object} vulnGroup - Grouped vulnerability data
+     * @returns {Array} One _processQID result per RITM route
+     */
+    _processQIDRoutes: function(qid, vulnGroup) {
+        if (!this.SPLIT_RITM_BY_TEAM) {
+            return [this._processQID(qid, vulnGroup)];
+        }
+        
+        if (!this.ritmIndex) {
+            this._buildRITMIndex();
+        }
+        
+        var routes = vulnGroup.hosts.length > 0 ? this._splitHostsByTeam(qid, vulnGroup) : {};
+        var openRoutes = this.ritmIndex[qid] ? Object.keys(this.ritmIndex[qid]) : [];
+        for (var i = 0; i < openRoutes.length; i++) {
+            if (!routes[openRoutes[i]]) {
+                routes[openRoutes[i]] = { qid: qid, severity: vulnGroup.severity, hosts: [] };
+            }
+        }
+        
+        var teams = Object.keys(routes);
+        if (teams.length === 0) {
+            return ['skipped'];
+        }
+        
+        var results = [];
+        for (var j = 0; j < teams.length; j++) {
+            try {
+                results.push(this._processQID(qid, routes[teams[j]], teams[j]));
+            } catch (ex) {
+                this._logQIDError(qid, 'Error processing QID ' + qid + ' for team ' + teams[j] + ': ' + ex.getMessage());
+                results.push('error');
+            }
+        }
+        
+        return results;
+    },
+    
+    /**
+     * Partition a QID's hosts by the group owning their CI (ROUTE_BY_CI_OWNERSHIP)
+     * Hosts without an owning group go to the policy assignmentGroup (TEAM_SYS_ID by default),
+     * as do all hosts when ownership routing is off.
+     * @param {string} qid - Qualys QID
+     * @param {Object} vulnGroup - Grouped vulnerability data
+     * @returns {Object} Team sys_id -> vulnGroup holding that team's hosts
+     */
+    _splitHostsByTeam: function(qid, vulnGroup) {
+        var hostProcessing = this._processHosts(vulnGroup.hosts, qid);
+        if (this.ROUTE_BY_CI_OWNERSHIP) {
+            this._loadCIOwners(hostProcessing.matchedSysIds);
+        }
+        
+        var routes = {};
+        var unowned = [];
+        
+        for (var i = 0; i < vulnGroup.hosts.length; i++) {
+            var host = vulnGroup.hosts[i];
+            var owner = this.ROUTE_BY_CI_OWNERSHIP && host.ciMatch.sysId ? this.ciOwnerCache[host.ciMatch.sysId] : '';
+            if (!owner) {
+                unowned.push(host);
+                continue;
+            }
+            if (!routes[owner]) {
+                routes[owner] = { qid: qid, severity: vulnGroup.severity, hosts: [] };
+            }
+            routes[owner].hosts.push(host);
+        }
+        
+        if (unowned.length > 0) {
+            var unownedGroup = { qid: qid, severity: vulnGroup.severity, hosts: unowned };
+            var policy = this._evaluatePolicy(unownedGroup, this._getVulnDetails(qid), this._processHosts(unowned, qid));
+            
+            if (routes[policy.assignmentGroup]) {
+                routes[policy.assignmentGroup].hosts = routes[policy.assignmentGroup].hosts.concat(unowned);
+            } else {
+                routes[policy.assignmentGroup] = unownedGroup;
+            }
+        }
+        
+        return routes;
+    },
+    
+    /**
+     * Process a single QID (for one team when splitting) - create or update RITM
+     * @param {string} qid - Qualys QID
+     * @param {Object} vulnGroup - Grouped vulnerability data
+     * @param {string} team - Owning team when SPLIT_RITM_BY_TEAM is set (optional)
+     * @returns {string} 'created', 'updated', 'reopened', 'suppressed', 'ineligible', 'flagged', 'closed' or 'skipped'
+     */
+    _processQID: function(qid, vulnGroup, team) {
+        // Check if RITM already exists for this QID (OPEN only)
+        var existingRitm = this._findExistingRITM(qid, team);
+        
+        // Hosts pulled by scopes outside this run stay on the RITM
+        if (existingRitm && this.partialScopes) {
+            var keptHosts = this._getOutOfScopeHosts(existingRitm.sys_id.toString());
+            if (keptHosts.length > 0) {
+                vulnGroup = { qid: vulnGroup.qid, severity: vulnGroup.severity, hosts: vulnGroup.hosts.concat(keptHosts) };
+            }
+        }
+        
+        // Get vulnerability details from cache
+        var vulnDetails = this._getVulnDetails(qid);
+        
+        // Check if all hosts are remediated
+        if (vulnGroup.hosts.length === 0) {
+            if (existingRitm) {
+                var result;
+                if (this._isFlaggedForClosure(existingRitm)) {
+                    // Already flagged on an earlier run - count the clean scan, do not repeat the banner
+                    this._recordCleanScan(existingRitm);
+                    result = 'skipped';
+                } else {
+                    // Flag existing RITM for closure
+                    this._flagRITMForClosure(existingRitm, qid);
+                    result = 'flagged';
+                }
+                
+                return this._applyClosurePolicy(existingRitm, qid) ? 'closed' : result;
+            } else {
+                // No hosts and no RITM - nothing to do
+                return 'skipped';
+            }
+        }
+        
+        if (existingRitm) {
+            // Update existing RITM
+            this._updateRITM(existingRitm, vulnGroup, vulnDetails, team);
+            return 'updated';
+        }
+        
+        // QID came back shortly after its RITM was closed automatically
+        var reopenRitm = this._findReopenableRITM(qid, team);
+        if (reopenRitm) {
+            this._reopenRITM(reopenRitm, qid);
+            this._updateRITM(reopenRitm, vulnGroup, vulnDetails, team);
+            return 'reopened';
+        }
+        
+        // QID was excepted before - reopen, link or suppress per REDETECTION_ACTION
+        var closedRitm = this._findLastClosedRITM(qid, team);
+        if (closedRitm) {
+            return this._handleRedetection(closedRitm, qid, vulnGroup, vulnDetails, team);
+        }
+        
+        // Create new RITM
+        return this._createRITM(qid, vulnGroup, vulnDetails, null, team) ? 'created' : 'ineligible';
+    },
+    
+    /**
+     * Handle a QID detected again after its RITM was closed
+     * @param {GlideRecord} closedRitm - Most recent closed approved exception for the QID
+     * @param {string} qid - Qualys QID
+     * @param {Object} vulnGroup - Grouped vulnerability data
+     * @param {Object} vulnDetails - KB details for the vulnerability
+     * @param {string} team - Owning team when SPLIT_RITM_BY_TEAM is set (optional)
+     * @returns {string} 'reopened', 'suppressed', 'created' or 'ineligible'
+     */
+    _handleRedetection: function(closedRitm, qid, vulnGroup, vulnDetails, team) {
+        var action = this.REDETECTION_ACTION;
+        
+        if (action === 'reopen') {
+            this._reopenRITM(closedRitm, qid);
+            this._updateRITM(closedRitm, vulnGroup, vulnDetails, team);
+            return 'reopened';
+        }
+        
+        if (action === 'suppress') {
+            var dateTo = closedRitm.variables.dateto ? closedRitm.variables.dateto.toString() : '';
+            var today = new GlideDateTime().getDate().toString();
+            var ritmState = this._getRITMState(closedRitm.sys_id.toString());
+            var autoClosed = ritmState && ritmState.u_auto_closed.toString() === 'true';
+            
+            if (dateTo && dateTo >= today && !autoClosed) {
+                this.log.info('QID ' + qid + ' re-detected - suppressed, ' + closedRitm.number + ' exception valid until ' + dateTo);
+                return 'suppressed';
+            }
+            this.log.info('QID ' + qid + ' re-detected - ' + closedRitm.number + ' exception ' +
+                         (autoClosed ? 'ended when auto-closed as remediated' : 'expired (' + (dateTo || 'no end date') + ')') +
+                         ', creating linked RITM');
+        }
+        
+        return this._createRITM(qid, vulnGroup, vulnDetails, closedRitm, team) ? 'created' : 'ineligible';
+    },
+    
+    // ============================================================
+    // SERVICENOW RITM METHODS
+    // ============================================================
+    
+    /**
+     * Index key for a RITM: the owning team when SPLIT_RITM_BY_TEAM is set, otherwise one key per QID
+     * @param {string} team - Team sys_id (optional)
+     * @returns {string} Route key
+     */
+    _getRoute: function(team) {
+        return this.SPLIT_RITM_BY_TEAM ? (team || this.TEAM_SYS_ID) : '*';
+    },
+    
+    /**
+     * Read the QID and team of every catalog RITM with a single variable-value query
+     * @param {string} closedStates - Comma list of closed states to read, or null for open RITMs
+     * @param {string} orderField - RITM field to order by (ascending)
+     * @param {boolean} approvedOnly - Read only RITMs whose approval is approved
+     * @returns {Array} [{ ritmSysId, qid, team }] in that order
+     */
+    _loadRITMRoutes: function(closedStates, orderField, approvedOnly) {
+        var byRitm = {};
+        var ritms = [];
+        
+        var gr = new GlideRecord('sc_item_option_mtom');
+        gr.addQuery('request_item.cat_item', this.CATALOG_ITEM_SYS_ID);
+        gr.addQuery('request_item.state', closedStates ? 'IN' : 'NOT IN', closedStates || this.CLOSED_RITM_STATES);
+        if (approvedOnly) {
+            gr.addQuery('request_item.approval', 'approved');
+        }
+        gr.addQuery('sc_item_option.item_option_new.name', 'IN', 'identified_qid_s,please_select_the_team_responsible_for_remediation');
+        gr.orderBy('request_item.' + orderField);
+        gr.query();
+        
+        while (gr.next()) {
+            var ritmSysId = gr.request_item.toString();
+            if (!byRitm[ritmSysId]) {
+                byRitm[ritmSysId] = { ritmSysId: ritmSysId, qid: '', team: '' };
+                ritms.push(byRitm[ritmSysId]);
+            }
+            
+            var value = gr.sc_item_option.value.toString().trim();
+            if (gr.sc_item_option.item_option_new.name.toString() === 'identified_qid_s') {
+                byRitm[ritmSysId].qid = value;
+            } else {
+                byRitm[ritmSysId].team = value;
+            }
+        }
+        
+        return ritms.filter(function(ritm) { return ritm.qid; });
+    },
+    
+    /**
+     * Build the QID -> route -> open RITM index with a single variable-value query
+     * Replaces a per-QID scan of every open RITM's variables.
+     */
+    _buildRITMIndex: function() {
+        this.ritmIndex = {};
+        var count = 0;
+        var ritms = this._loadRITMRoutes(null, 'sys_created_on');
+        
+        for (var i = 0; i < ritms.length; i++) {
+            var qid = ritms[i].qid;
+            var route = this._getRoute(ritms[i].team);
+            
+            if (!this.ritmIndex[qid]) {
+                this.ritmIndex[qid] = {};
+            }
+            
+            // Oldest RITM wins if a QID (and team) is somehow on more than one open RITM
+            if (this.ritmIndex[qid][route]) {
+                this.log.warn('QID ' + qid + (this.SPLIT_RITM_BY_TEAM ? ' for team ' + route : '') +
+                              ' is on more than one open RITM - using the oldest (' + this.ritmIndex[qid][route] + ')');
+                continue;
+            }
+            
+            this.ritmIndex[qid][route] = ritms[i].ritmSysId;
+            count++;
+        }
+        
+        this.log.info('Indexed ' + count + ' open RITMs by QID' + (this.SPLIT_RITM_BY_TEAM ? ' and team' : ''));
+    },
+    
+    /**
+     * Record a newly created or reopened RITM in the QID index
+     * @param {string} qid - Qualys QID
+     * @param {string} ritmSysId - RITM sys_id
+     * @param {string} team - Team on the RITM
+     */
+    _indexRITM: function(qid, ritmSysId, team) {
+        if (!this.ritmIndex) {
+            this._buildRITMIndex();
+        }
+        if (!this.ritmIndex[qid]) {
+            this.ritmIndex[qid] = {};
+        }
+        this.ritmIndex[qid][this._getRoute(team)] = ritmSysId;
+    },
+    
+    /**
+     * Remove a RITM that is no longer open from the QID index
+     * @param {string} qid - Qualys QID
+     * @param {string} ritmSysId - RITM sys_id
+     */
+    _unindexRITM: function(qid, ritmSysId) {
+        if (!this.ritmIndex || !this.ritmIndex[qid]) {
+            return;
+        }
+        for (var route in this.ritmIndex[qid]) {
+            if (this.ritmIndex[qid][route] === ritmSysId) {
+                delete this.ritmIndex[qid][route];
+            }
+        }
+        if (Object.keys(this.ritmIndex[qid]).length === 0) {
+            delete this.ritmIndex[qid];
+        }
+    },
+    
+    /**
+     * Find existing OPEN RITM for a QID
+     * @param {string} qid - Qualys QID
+     * @param {string} team - Owning team when SPLIT_RITM_BY_TEAM is set (optional)
+     * @returns {GlideRecord|null} RITM record or null if not found
+     */
+    _findExistingRITM: function(qid, team) {
+        if (!this.ritmIndex) {
+            this._buildRITMIndex();
+        }
+        
+        var ritmSysId = this.ritmIndex[qid] ? this.ritmIndex[qid][this._getRoute(team)] : null;
+        if (!ritmSysId) {
+            return null;
+        }
+        
+        var gr = new GlideRecord('sc_req_item');
+        // Only return OPEN RITMs - the RITM may have been closed since the index was built
+        if (gr.get(ritmSysId) && this.CLOSED_RITM_STATES.split(',').indexOf(gr.state.toString()) === -1) {
+            return gr;
+        }
+        
+        this._unindexRITM(qid, ritmSysId);
+        return null;
+    },
+    
+    /**
+     * Find the most recently closed approved exception (EXCEPTED_RITM_STATES, approval approved) for a QID
+     * Closed RITMs are indexed by QID on first use, once per run.
+     * @param {string} qid - Qualys QID
+     * @param {string} team - Owning team when SPLIT_RITM_BY_TEAM is set (optional)
+     * @returns {GlideRecord|null} Closed RITM or null
+     */
+    _findLastClosedRITM: function(qid, team) {
+        if (!this.closedRitmIndex) {
+            this.closedRitmIndex = {};
+            
+            // Ascending, so the most recently closed RITM is the one left in the index
+            var ritms = this._loadRITMRoutes(this.EXCEPTED_RITM_STATES, 'closed_at', true);
+            for (var i = 0; i < ritms.length; i++) {
+                if (!this.closedRitmIndex[ritms[i].qid]) {
+                    this.closedRitmIndex[ritms[i].qid] = {};
+                }
+                this.closedRitmIndex[ritms[i].qid][this._getRoute(ritms[i].team)] = ritms[i].ritmSysId;
+            }
+        }
+        
+        var ritmSysId = this.closedRitmIndex[qid] ? this.closedRitmIndex[qid][this._getRoute(team)] : null;
+        if (!ritmSysId) {
+            return null;
+        }
+        
+        var gr = new GlideRecord('sc_req_item');
+        if (gr.get(ritmSysId) && this.EXCEPTED_RITM_STATES.split(',').indexOf(gr.state.toString()) !== -1 &&
+            gr.approval.toString() === 'approved') {
+            return gr;
+        }
+        return null;
+    },
+    
+    /**
+     * Remediation team currently on a RITM
+     * @param {GlideRecord} ritmGr - RITM record
+     * @returns {string} Team sys_id, or empty if not set
+     */
+    _getRITMTeam: function(ritmGr) {
+        var team = ritmGr.variables.please_select_the_team_responsible_for_remediation;
+        return team ? team.toString() : '';
+    },
+    
+    /**
+     * Create new RITM for a QID
+     * @param {string} qid - Qualys QID
+     * @param {Object} vulnGroup - Grouped vulnerability data
+     * @param {Object} vulnDetails - KB details for the vulnerability
+     * @param {GlideRecord} priorRitm - Optional closed RITM that previously excepted this QID
+     * @param {string} team - Owning team when SPLIT_RITM_BY_TEAM is set (optional)
+     * @returns {boolean} False if the exception policy makes the QID ineligible
+     */
+    _createRITM: function(qid, vulnGroup, vulnDetails, priorRitm, team) {
+        this.log.info('Creating RITM for QID: ' + qid + ' (' + vulnGroup.hosts.length + ' hosts)');
+        
+        // Process hosts - separate CMDB-matched from unmatched
+        var hostProcessing = this._processHosts(vulnGroup.hosts, qid);
+        
+        // Exception policy decides eligibility, duration, team and priority
+        var policy = this._evaluatePolicy(vulnGroup, vulnDetails, hostProcessing);
+        if (!policy.eligible) {
+            this.log.info('QID ' + qid + ' is not eligible for auto-exception (policy rule: ' + policy.name + ') - no RITM created');
+            return false;
+        }
+        
+        var routing = this._resolveTeam(policy, hostProcessing, team);
+        
+        // Calculate dates
+        var today = new GlideDateTime();
+        var endDate = new GlideDateTime();
+        endDate.addMonthsUTC(policy.durationMonths);
+        
+        if (this.PREVIEW_MODE) {
+            this.log.info('[PREVIEW] Would create RITM for QID ' + qid + ' - ' + vulnGroup.hosts.length + ' hosts, team ' +
+                         this._getGroupName(routing.team) + ', policy ' + policy.name);
+            this.previewReport.creates.push({
+                qid: qid,
+                title: vulnDetails && vulnDetails.title ? vulnDetails.title : '',
+                severity: vulnGroup.severity,
+                hosts: this._formatPreviewHosts(this._diffHostSnapshot({}, vulnGroup.hosts).added),
+                cmdbLinked: hostProcessing.matchedSysIds.length,
+                notInCmdb: hostProcessing.unmatchedHosts.length,
+                policy: policy.name,
+                dateto: endDate.getDate().toString(),
+                priority: policy.priority,
+                team: routing.team,
+                teamReason: routing.reason,
+                linkedTo: priorRitm ? priorRitm.number.toString() : ''
+            });
+            return true;
+        }
+        
+        // Build justification text with all hosts
+        var justification = this._buildJustification(qid, vulnGroup, vulnDetails, hostProcessing);
+        
+        // Create the catalog request
+        var cart = new Cart();
+        var item = cart.addItem(this.CATALOG_ITEM_SYS_ID);
+        
+        // Set variables
+        cart.setVariable(item, 'identified_qid_s', qid);
+        cart.setVariable(item, 'vulnerability_in_vuln_mgmt_platform', 'Yes');
+        cart.setVariable(item, 'please_select_the_team_responsible_for_remediation', routing.team);
+        cart.setVariable(item, 'datefrom', today.getDate().toString());
+        cart.setVariable(item, 'dateto', endDate.getDate().toString());
+        cart.setVariable(item, 'justification_for_exception', justification);
+        
+        var kbVariables = this._buildKBVariables(qid, vulnDetails);
+        for (var variable in kbVariables) {
+            if (kbVariables[variable]) {
+                cart.setVariable(item, variable, kbVariables[variable]);
+            }
+        }
+        
+        // Set impacted systems (CMDB-matched hosts only)
+        if (hostProcessing.matchedSysIds.length > 0) {
+            cart.setVariable(item, 'impacted_system', hostProcessing.matchedSysIds.join(','));
+        }
+        
+        // Submit the request
+        var request = cart.placeOrder();
+        
+        // Get the RITM that was created
+        var ritmGr = new GlideRecord('sc_req_item');
+        ritmGr.addQuery('request', request.sys_id);
+        ritmGr.query();
+        
+        if (ritmGr.next()) {
+            // Add work note with summary
+            var workNote = '=== QUALYS INTEGRATION: RITM CREATED ===\n\n';
+            workNote += 'QID: ' + qid + '\n';
+            if (vulnDetails && vulnDetails.title) {
+                workNote += 'Title: ' + vulnDetails.title + '\n';
+            }
+            workNote += '\nTotal Hosts: ' + vulnGroup.hosts.length + '\n';
+            workNote += 'CMDB-Linked: ' + hostProcessing.matchedSysIds.length + '\n';
+            workNote += 'Not in CMDB: ' + hostProcessing.unmatchedHosts.length + '\n';
+            
+            if (hostProcessing.unmatchedHosts.length > 0) {
+                workNote += '\n*** ATTENTION: ' + hostProcessing.unmatchedHosts.length + ' hosts not found in CMDB ***\n';
+                workNote += 'See justification field for full host list.\n';
+            }
+            
+            workNote += '\nCMDB MATCH CONFIDENCE:\n';
+            workNote += this._formatMatchLines(vulnGroup.hosts, false);
+            
+            workNote += '\nException policy: ' + policy.name + ' (' + policy.durationMonths + ' months)\n';
+            workNote += 'Remediation team: ' + this._getGroupName(routing.team) + ' (' + routing.reason + ')\n';
+            if (policy.priority) {
+                ritmGr.priority = policy.priority;
+            }
+            
+            if (priorRitm) {
+                workNote += '\nPreviously excepted by ' + priorRitm.number + ' (closed ' + priorRitm.closed_at.getDisplayValue() + ')\n';
+                ritmGr.parent = priorRitm.sys_id.toString();
+            }
+            
+            ritmGr.work_notes = workNote;
+            ritmGr.update();
+            
+            if (priorRitm) {
+                priorRitm.work_notes = 'QID ' + qid + ' detected again - follow-up exception request ' + ritmGr.number + ' created.';
+                priorRitm.update();
+            }
+            
+            this._indexRITM(qid, ritmGr.sys_id.toString(), routing.team);
+            this._saveHostSnapshot(ritmGr.sys_id.toString(), vulnGroup.hosts, {});
+            this._updateRITMState(ritmGr.sys_id.toString(), qid, {
+                u_severity: vulnGroup.severity,
+                u_policy: policy.name,
+                u_team: routing.team,
+                u_cves: vulnDetails && vulnDetails.cveList ? vulnDetails.cveList.join(',') : '',
+                u_threat_indicators: kbVariables.threat_indicators || '',
+                u_cisa_kev: vulnDetails ? kbVariables.cisa_known_exploited || 'Unknown' : ''
+            });
+            
+            this.log.info('Created RITM: ' + ritmGr.number);
+            
+            // An overlapping run may have raised the same QID - keep only the oldest RITM
+            this._mergeDuplicateRITMs(qid, routing.team);
+        }
+        
+        return true;
+    },
+    
+    /**
+     * Update existing RITM with new host information
+     * @param {GlideRecord} ritmGr - Existing RITM record
+     * @param {Object} vulnGroup - Current vulnerability data
+     * @param {Object} vulnDetails - KB details for the vulnerability
+     * @param {string} team - Owning team when SPLIT_RITM_BY_TEAM is set (optional)
+     */
+    _updateRITM: function(ritmGr, vulnGroup, vulnDetails, team) {
+        this.log.info('Updating RITM: ' + ritmGr.number + ' for QID: ' + vulnGroup.qid);
+        
+        // Process current hosts
+        var currentHostProcessing = this._processHosts(vulnGroup.hosts, vulnGroup.qid);
+        
+        // Compare against the persisted host snapshot (CMDB-linked and unmatched hosts)
+        var snapshot = this._loadHostSnapshot(ritmGr.sys_id.toString());
+        var delta = this._diffHostSnapshot(snapshot, vulnGroup.hosts);
+        
+        // Build work note
+        var workNote = '=== QUALYS INTEGRATION UPDATE ===\n';
+        workNote += 'Date: ' + new GlideDateTime().getDisplayValue() + '\n\n';
+        
+        if (this._isFlaggedForClosure(ritmGr)) {
+            if (!this.PREVIEW_MODE) {
+                this._setClosureFlag(ritmGr, vulnGroup.qid, false);
+            }
+            workNote += '*** QID RE-DETECTED - earlier closure flag has been cleared ***\n\n';
+        }
+        
+        // Re-apply the exception policy only when a different rule now matches.
+        // A RITM with no recorded policy only has the current one recorded.
+        var policy = this._evaluatePolicy(vulnGroup, vulnDetails, currentHostProcessing);
+        var ritmState = this._getRITMState(ritmGr.sys_id.toString());
+        var previousPolicy = ritmState ? ritmState.u_policy.toString() : '';
+        
+        if (previousPolicy && policy.name !== previousPolicy) {
+            workNote += 'EXCEPTION POLICY CHANGED: ' + previousPolicy + ' -> ' + policy.name + '\n';
+            if (!policy.eligible) {
+                workNote += '*** QID is no longer eligible for auto-exception - review this exception ***\n';
+            } else if (policy.priority) {
+                ritmGr.priority = policy.priority;
+                workNote += 'Priority set to ' + policy.priority + '; exception dates are unchanged.\n';
+            } else {
+                workNote += 'Exception dates are unchanged.\n';
+            }
+            workNote += '\n';
+        }
+        
+        // Re-route only when the routing outcome changes, so a manual reassignment sticks.
+        // A RITM with no recorded team only has the outcome recorded.
+        var previousTeam = ritmState ? ritmState.u_team.toString() : '';
+        var routedTeam = previousTeam;
+        if (policy.eligible) {
+            var routing = this._resolveTeam(policy, currentHostProcessing, team);
+            var currentTeam = this._getRITMTeam(ritmGr);
+            routedTeam = routing.team;
+            
+            if (previousTeam && routing.team !== previousTeam && routing.team !== currentTeam) {
+                ritmGr.variables.please_select_the_team_responsible_for_remediation = routing.team;
+                workNote += 'REMEDIATION TEAM CHANGED: ' + this._getGroupName(currentTeam) + ' -> ' +
+                            this._getGroupName(routing.team) + ' (' + routing.reason + ')\n\n';
+            }
+        }
+        
+        // CVE list - only compared when KB details are available, so a failed lookup is not a removal.
+        // RITMs created before the list was recorded fall back to the identified_cves variable.
+        var recordedCves = ritmState ? ritmState.u_cves.toString() : '';
+        if (!recordedCves) {
+            recordedCves = (String(ritmGr.variables.identified_cves || '').match(/CVE-\d{4}-\d{4,}/gi) || []).join(',').toUpperCase();
+        }
+        if (vulnDetails && vulnDetails.cveList) {
+            var cveDiff = this._diffCves(recordedCves ? recordedCves.split(',') : [], vulnDetails.cveList);
+            
+            if (cveDiff.added.length > 0 || cveDiff.removed.length > 0) {
+                workNote += 'CVE LIST CHANGED (' + vulnDetails.cveList.length + ' CVEs):\n';
+                if (cveDiff.added.length > 0) {
+                    workNote += '+ ' + cveDiff.added.join(', ') + '\n';
+                }
+                if (cveDiff.removed.length > 0) {
+                    workNote += '- ' + cveDiff.removed.join(', ') + '\n';
+                }
+                workNote += '\n';
+                recordedCves = vulnDetails.cveList.join(',');
+            }
+        }
+        
+        // KB-derived variables follow the KB; a change in exploit data is called out for the reviewer.
+        // Compared with what was recorded in RITM_STATE_TABLE - RITMs ordered before the variables
+        // existed cannot hold them. Without a record yet the current values are recorded silently.
+        var recordedIndicators = ritmState ? ritmState.u_threat_indicators.toString() : '';
+        var recordedKev = ritmState ? ritmState.u_cisa_kev.toString() : '';
+        if (vulnDetails) {
+            var kbVariables = this._buildKBVariables(vulnGroup.qid, vulnDetails);
+            var currentKev = kbVariables.cisa_known_exploited || 'Unknown';
+            
+            if (recordedKev) {
+                var indicatorsChanged = kbVariables.threat_indicators !== recordedIndicators;
+                var nowKev = currentKev === 'Yes' && recordedKev !== 'Yes';
+                
+                if (indicatorsChanged) {
+                    workNote += 'THREAT INTELLIGENCE CHANGED: ' + (recordedIndicators || 'none') + ' -> ' +
+                                (kbVariables.threat_indicators || 'none') + '\n';
+                }
+                if (nowKev) {
+                    workNote += '*** QID is now on the CISA Known Exploited Vulnerabilities list - review this exception ***\n';
+                }
+                if (indicatorsChanged || nowKev) {
+                    workNote += '\n';
+                }
+            }
+            recordedIndicators = kbVariables.threat_indicators;
+            recordedKev = currentKev;
+            
+            for (var variable in kbVariables) {
+                ritmGr.variables[variable] = kbVariables[variable];
+            }
+        }
+        
+        if (!delta.hadSnapshot) {
+            workNote += 'Host snapshot initialized with ' + vulnGroup.hosts.length + ' hosts - changes are tracked from this run.\n\n';
+        } else {
+            if (delta.added.length > 0) {
+                workNote += 'NEW HOSTS AFFECTED (' + delta.added.length + '):\n';
+                workNote += this._formatSnapshotHosts(delta.added) + '\n\n';
+            }
+            
+            if (delta.removed.length > 0) {
+                workNote += 'REMEDIATED HOSTS (' + delta.removed.length + '):\n';
+                workNote += this._formatSnapshotHosts(delta.removed) + '\n\n';
+            }
+            
+            if (delta.added.length === 0 && delta.removed.length === 0) {
+                workNote += 'No host changes since the last run.\n\n';
+            }
+        }
+        
+        workNote += 'Current Status:\n';
+        workNote += '- Total hosts affected: ' + vulnGroup.hosts.length + '\n';
+        workNote += '- CMDB-linked: ' + currentHostProcessing.matchedSysIds.length + '\n';
+        workNote += '- Not in CMDB: ' + currentHostProcessing.unmatchedHosts.length + '\n';
+        
+        var reviewLines = this._formatMatchLines(vulnGroup.hosts, true);
+        if (reviewLines) {
+            workNote += '\nCMDB MATCHES NEEDING REVIEW (low confidence or ambiguous):\n';
+            workNote += reviewLines;
+        }
+        
+        if (this.PREVIEW_MODE) {
+            this.log.info('[PREVIEW] Would update RITM ' + ritmGr.number + ' for QID ' + vulnGroup.qid +
+                         ' | Added: ' + delta.added.length + ' | Removed: ' + delta.removed.length);
+            this.previewReport.updates.push({
+                ritm: ritmGr.number.toString(),
+                qid: vulnGroup.qid,
+                hosts: vulnGroup.hosts.length,
+                added: this._formatPreviewHosts(delta.added),
+                removed: this._formatPreviewHosts(delta.removed),
+                snapshotInitialized: !delta.hadSnapshot,
+                workNote: workNote
+            });
+            return;
+        }
+        
+        // Update RITM
+        ritmGr.work_notes = workNote;
+        
+        // Update impacted_system variable (empty once no CMDB-linked hosts remain)
+        ritmGr.variables.impacted_system = currentHostProcessing.matchedSysIds.join(',');
+        
+        // Update justification with current host list
+        var justification = this._buildJustification(vulnGroup.qid, vulnGroup, vulnDetails, currentHostProcessing);
+        ritmGr.variables.justification_for_exception = justification;
+        
+        ritmGr.update();
+        
+        this._saveHostSnapshot(ritmGr.sys_id.toString(), vulnGroup.hosts, snapshot);
+        this._updateRITMState(ritmGr.sys_id.toString(), vulnGroup.qid, {
+            u_severity: vulnGroup.severity || (ritmState ? ritmState.u_severity.toString() : ''),
+            u_policy: policy.name,
+            u_team: routedTeam,
+            u_cves: recordedCves,
+            u_threat_indicators: recordedIndicators,
+            u_cisa_kev: recordedKev
+        });
+        
+        this.log.info('Updated RITM: ' + ritmGr.number + ' | Added: ' + delta.added.length + ' | Removed: ' + delta.removed.length);
+    },
+    
+    /**
+     * Flag RITM for closure when all hosts are remediated
+     * @param {GlideRecord} ritmGr - RITM record
+     * @param {string} qid - QID
+     */
+    _flagRITMForClosure: function(ritmGr, qid) {
+        if (this.PREVIEW_MODE) {
+            this.log.info('[PREVIEW] Would flag RITM for closure: ' + ritmGr.number + ' (QID: ' + qid + ')');
+            this.previewReport.flags.push({
+                ritm: ritmGr.number.toString(),
+                qid: qid,
+                remediatedHosts: this._getPreviousHostCount(ritmGr)
+            });
+            return;
+        }
+        
+        this.log.info('Flagging RITM for closure: ' + ritmGr.number + ' (QID: ' + qid + ')');
+        
+        var workNote = '╔══════════════════════════════════════════════════════════════╗\n';
+        workNote += '║         ALL HOSTS REMEDIATED - REVIEW FOR CLOSURE            ║\n';
+        workNote += '╚══════════════════════════════════════════════════════════════╝\n\n';
+        workNote += 'Date: ' + new GlideDateTime().getDisplayValue() + '\n\n';
+        workNote += 'The Qualys integration has detected that ALL hosts previously\n';
+        workNote += 'affected by this vulnerability (QID: ' + qid + ') have been remediated.\n\n';
+        workNote += 'Total hosts remediated: ' + this._getPreviousHostCount(ritmGr) + '\n\n';
+        workNote += 'ACTION REQUIRED:\n';
+        workNote += 'Please review this exception request and close if appropriate.\n';
+        
+        ritmGr.work_notes = workNote;
+        
+        // Clear impacted systems since all are remediated
+        ritmGr.variables.impacted_system = '';
+        
+        ritmGr.update();
+        
+        this._setClosureFlag(ritmGr, qid, true);
+        
+        // Mark every tracked host remediated
+        var ritmSysId = ritmGr.sys_id.toString();
+        this._saveHostSnapshot(ritmSysId, [], this._loadHostSnapshot(ritmSysId));
+    },
+    
+    /**
+     * Get previous host count from RITM
+     * Counts active hosts in the snapshot, or CMDB-linked hosts for RITMs that predate it.
+     */
+    _getPreviousHostCount: function(ritmGr) {
+        var snapshot = this._loadHostSnapshot(ritmGr.sys_id.toString());
+        var keys = Object.keys(snapshot);
+        if (keys.length > 0) {
+            return keys.filter(function(k) { return snapshot[k].active; }).length;
+        }
+        
+        var prevHostSysIds = ritmGr.variables.impacted_system ? ritmGr.variables.impacted_system.toString() : '';
+        if (!prevHostSysIds) return 0;
+        return prevHostSysIds.split(',').filter(function(s) { return s; }).length;
+    },
+    
+    // ============================================================
+    // EXCEPTION POLICY METHODS
+    // ============================================================
+    
+    /**
+     * Evaluate EXCEPTION_POLICIES for a QID - first matching rule wins
+     * @param {Object} vulnGroup - Grouped vulnerability data
+     * @param {Object} vulnDetails - KB details (may be null)
+     * @param {Object} hostProcessing - Result of _processHosts
+     * @returns {Object} { name, eligible, durationMonths, assignmentGroup, priority }
+     */
+    _evaluatePolicy: function(vulnGroup, vulnDetails, hostProcessing) {
+        var facts = {
+            severity: parseInt(vulnGroup.severity, 10) || 0,
+            cvss3: vulnDetails && vulnDetails.cvss3Base ? parseFloat(vulnDetails.cvss3Base) : null,
+            cveCount: vulnDetails && vulnDetails.cveList ? vulnDetails.cveList.length : 0,
+            osList: [],
+            ciClasses: null     // Loaded only if a rule needs them
+        };
+        
+        for (var h = 0; h < vulnGroup.hosts.length; h++) {
+            if (vulnGroup.hosts[h].os) {
+                facts.osList.push(vulnGroup.hosts[h].os);
+            }
+        }
+        
+        var rule = null;
+        for (var i = 0; i < this.EXCEPTION_POLICIES.length; i++) {
+            if (this._policyRuleMatches(this.EXCEPTION_POLICIES[i], facts, hostProcessing)) {
+                rule = this.EXCEPTION_POLICIES[i];
+                break;
+            }
+        }
+        
+        var policy = {
+            name: rule ? rule.name : '(no rule matched)',
+            eligible: rule ? rule.eligible !== false : true,
+            durationMonths: rule && rule.durationMonths ? rule.durationMonths : this.EXCEPTION_DURATION_MONTHS,
+            assignmentGroup: rule && rule.assignmentGroup ? rule.assignmentGroup : this.TEAM_SYS_ID,
+            priority: rule && rule.priority ? rule.priority : ''
+        };
+        
+        this.log.info('Policy for QID ' + vulnGroup.qid + ': rule "' + policy.name + '" (severity ' + facts.severity +
+                     ', CVSS v3 ' + (facts.cvss3 === null ? 'N/A' : facts.cvss3) + ', ' + facts.cveCount + ' CVEs) -> ' +
+                     (policy.eligible ? policy.durationMonths + ' months, priority ' + (policy.priority || 'default') +
+                      ', team ' + policy.assignmentGroup : 'NOT ELIGIBLE'));
+        
+        return policy;
+    },
+    
+    /**
+     * Check every condition of one policy rule
+     * @param {Object} rule - Entry from EXCEPTION_POLICIES
+     * @param {Object} facts - Facts gathered by _evaluatePolicy
+     * @param {Object} hostProcessing - Result of _processHosts
+     * @returns {boolean} True if all conditions hold
+     */
+    _policyRuleMatches: function(rule, facts, hostProcessing) {
+        if (rule.minSeverity && facts.severity < rule.minSeverity) return false;
+        if (rule.maxSeverity && facts.severity > rule.maxSeverity) return false;
+        
+        if (rule.minCvss3 !== undefined && (facts.cvss3 === null || facts.cvss3 < rule.minCvss3)) return false;
+        if (rule.maxCvss3 !== undefined && (facts.cvss3 === null || facts.cvss3 > rule.maxCvss3)) return false;
+        
+        if (rule.hasCve !== undefined && (facts.cveCount > 0) !== rule.hasCve) return false;
+        
+        if (rule.osPattern) {
+            var osRegex = new RegExp(rule.osPattern, 'i');
+            var osMatch = facts.osList.some(function(os) { return osRegex.test(os); });
+            if (!osMatch) return false;
+        }
+        
+        if (rule.ciClasses) {
+            if (facts.ciClasses === null) {
+                facts.ciClasses = this._getCIClasses(hostProcessing.matchedSysIds);
+            }
+            var wanted = rule.ciClasses.split(',');
+            var classMatch = facts.ciClasses.some(function(ciClass) { return wanted.indexOf(ciClass) !== -1; });
+            if (!classMatch) return false;
+        }
+        
+        return true;
+    },
+    
+    /**
+     * Distinct CI classes of a set of CIs
+     * @param {Array} sysIds - CI sys_ids
+     * @returns {Array} sys_class_name values
+     */
+    _getCIClasses: function(sysIds) {
+        var classes = [];
+        if (sysIds.length === 0) {
+            return classes;
+        }
+        
+        var gr = new GlideRecord('cmdb_ci');
+        gr.addQuery('sys_id', 'IN', sysIds.join(','));
+        gr.query();
+        
+        while (gr.next()) {
+            var ciClass = gr.sys_class_name.toString();
+            if (classes.indexOf(ciClass) === -1) {
+                classes.push(ciClass);
+            }
+        }
+        
+        return classes;
+    },
+    
+    // ============================================================
+    // OWNERSHIP ROUTING METHODS
+    // ============================================================
+    
+    /**
+     * Pick the remediation team for a RITM
+     * The group owning most CMDB-linked hosts wins (ROUTE_BY_CI_OWNERSHIP), otherwise
+     * the policy assignmentGroup, which defaults to TEAM_SYS_ID.
+     * @param {Object} policy - Result of _evaluatePolicy
+     * @param {Object} hostProcessing - Result of _processHosts
+     * @param {string} team - Team fixed by SPLIT_RITM_BY_TEAM (optional)
+     * @returns {Object} { team, reason }
+     */
+    _resolveTeam: function(policy, hostProcessing, team) {
+        if (team) {
+            return { team: team, reason: 'one RITM per QID and owning team' };
+        }
+        
+        if (this.ROUTE_BY_CI_OWNERSHIP && hostProcessing.matchedHosts.length > 0) {
+            this._loadCIOwners(hostProcessing.matchedSysIds);
+            
+            var counts = {};
+            var best = '';
+            for (var i = 0; i < hostProcessing.matchedHosts.length; i++) {
+                var owner = this.ciOwnerCache[hostProcessing.matchedHosts[i].ciMatch.sysId];
+                if (!owner) continue;
+                
+                counts[owner] = (counts[owner] || 0) + 1;
+                if (!best || counts[owner] > counts[best]) {
+                    best = owner;
+                }
+            }
+            
+            if (best) {
+                var others = Object.keys(counts).length - 1;
+                return {
+                    team: best,
+                    reason: 'owns ' + counts[best] + ' of ' + hostProcessing.matchedHosts.length + ' CMDB-linked hosts' +
+                            (others > 0 ? ', ' + others + ' other owning group(s)' : '')
+                };
+            }
+        }
+        
+        return {
+            team: policy.assignmentGroup,
+            reason: policy.assignmentGroup === this.TEAM_SYS_ID ? 'default team' : 'policy ' + policy.name
+        };
+    },
+    
+    /**
+     * Load the owning group of each CI into ciOwnerCache
+     * The first non-empty CI_OWNER_FIELDS value wins.
+     * @param {Array} sysIds - CI sys_ids
+     */
+    _loadCIOwners: function(sysIds) {
+        var missing = [];
+        for (var i = 0; i < sysIds.length; i++) {
+            if (!this.ciOwnerCache.hasOwnProperty(sysIds[i])) {
+                this.ciOwnerCache[sysIds[i]] = '';
+                missing.push(sysIds[i]);
+            }
+        }
+        if (missing.length === 0) {
+            return;
+        }
+        
+        var fields = this.CI_OWNER_FIELDS.split(',');
+        var gr = new GlideRecord('cmdb_ci');
+        gr.addQuery('sys_id', 'IN', missing.join(','));
+        gr.query();
+        
+        while (gr.next()) {
+            for (var f = 0; f < fields.length; f++) {
+                var owner = gr.getValue(fields[f]);
+                if (owner) {
+                    this.ciOwnerCache[gr.sys_id.toString()] = owner;
+                    break;
+                }
+            }
+        }
+    },
+    
+    /**
+     * Display name of a group for work notes
+     * @param {string} groupSysId - sys_user_group sys_id
+     * @returns {string} Group name, or the sys_id if it cannot be read
+     */
+    _getGroupName: function(groupSysId) {
+        var gr = new GlideRecord('sys_user_group');
+        if (groupSysId && gr.get(groupSysId)) {
+            return gr.name.toString();
+        }
+        return groupSysId || '(none)';
+    },
+    
+    // ============================================================
+    // HOST PROCESSING METHODS
+    // ============================================================
+    
+    /**
+     * Process hosts - reconcile against CMDB and separate matched from unmatched
+     * Each host gets a ciMatch property with the reconciliation result, and
+     * unmatched hosts are queued for CMDB review.
+     * @param {Array} hosts - Array of host objects
+     * @param {string} qid - QID the hosts are affected by
+     * @returns {Object} { matchedSysIds: [], matchedHosts: [], unmatchedHosts: [] }
+     */
+    _processHosts: function(hosts, qid) {
+        var result = {
+            matchedSysIds: [],
+            matchedHosts: [],
+            unmatchedHosts: []
+        };
+        
+        this._loadHostAssets(hosts);
+        
+        for (var i = 0; i < hosts.length; i++) {
+            var host = hosts[i];
+            var match = this._reconcileHost(host);
+            host.ciMatch = match;
+            
+            if (match.sysId) {
+                if (result.matchedSysIds.indexOf(match.sysId) === -1) {
+                    result.matchedSysIds.push(match.sysId);
+                }
+                result.matchedHosts.push(host);
+            } else {
+                result.unmatchedHosts.push(host);
+                this._queueUnmatchedHost(host, qid);
+            }
+        }
+        
+        return result;
+    },
+    
+    /**
+     * Stable identity for a Qualys host across runs
+     * Qualys asset ID, then host ID, falling back to IP + DNS
+     * @param {Object} host - Host object
+     * @returns {string} Host key
+     */
+    _getHostKey: function(host) {
+        // Asset and host IDs are per subscription - hosts from other connections are kept apart
+        var connection = host.scope ? this._getScopeConnection(host.scope) : this.DEFAULT_CONNECTION;
+        var prefix = connection === this.DEFAULT_CONNECTION ? '' : connection + '/';
+        
+        if (host.assetId) {
+            return prefix + 'asset:' + host.assetId;
+        }
+        if (host.hostId) {
+            return prefix + 'host:' + host.hostId;
+        }
+        return prefix + 'ip:' + (host.ip || '') + '|' + (host.dns || host.hostname || '').toLowerCase();
+    },
+    
+    // ============================================================
+    // CMDB RECONCILIATION METHODS
+    // ============================================================
+    
+    /**
+     * Reconcile a Qualys host to a single CMDB CI
+     * Uses a resolution from the unmatched host queue if there is one, otherwise
+     * runs each rule in CI_MATCH_RULES, scores the candidates and rejects
+     * ambiguous results. Results are cached per host for the run.
+     * @param {Object} host - Host object
+     * @returns {Object} { sysId, status, rule, confidence, detail }
+     *          status is 'matched', 'ambiguous' or 'unmatched'
+     */
+    _reconcileHost: function(host) {
+        var hostKey = this._getHostKey(host);
+        if (this.ciMatchCache[hostKey]) {
+            return this.ciMatchCache[hostKey];
+        }
+        
+        // A CMDB analyst's resolution from the unmatched host queue always wins
+        var resolvedSysId = this._getHostResolution(hostKey);
+        if (resolvedSysId) {
+            this.ciMatchCache[hostKey] = {
+                sysId: resolvedSysId,
+                status: 'matched',
+                rule: 'manualResolution',
+                confidence: 100,
+                detail: ''
+            };
+            return this.ciMatchCache[hostKey];
+        }
+        
+        var scores = {};       // sys_id -> { confidence, rules[] }
+        var notes = [];
+        
+        for (var i = 0; i < this.CI_MATCH_RULES.length; i++) {
+            var rule = this.CI_MATCH_RULES[i];
+            var matcher = this['_matchBy' + rule.name.charAt(0).toUpperCase() + rule.name.substring(1)];
+            if (typeof matcher !== 'function') {
+                this.log.warn('Unknown CI match rule: ' + rule.name);
+                continue;
+            }
+            
+            var candidates = this._filterEligibleCIs(matcher.call(this, host));
+            if (candidates.length === 0) {
+                continue;
+            }
             
-            if (result3 === 'updated') {
-                this.log.info('✓ RITM updated');
-                this.log.info('✓ Check work notes for "test-host-D" added message');
-                testResults.stage3 = true;
-            } else {
-                this.log.error('✗ Stage 3 FAILED - Expected "updated", got "' + result3 + '"');
+            // A rule that points at more than one CI proves nothing
+            if (candidates.length > 1) {
+                notes.push(rule.name + ' matched ' + candidates.length + ' CIs');
+                continue;
             }
             
-            // ==================== STAGE 4: Full Remediation ====================
-            this.log.info('');
-            this.log.info('═══ STAGE 4: Full Remediation ═══');
-            this.log.info('Removing all hosts (simulating full remediation)');
+            var sysId = candidates[0];
+            if (!scores[sysId]) {
+                scores[sysId] = { confidence: 0, rules: [] };
+            }
+            scores[sysId].rules.push(rule.name);
+            // Strongest rule sets the score, each agreeing rule adds a little
+            scores[sysId].confidence = Math.min(100, Math.max(scores[sysId].confidence, rule.confidence) +
+                                                     (scores[sysId].rules.length > 1 ? 10 : 0));
             
-            var stage4Data = {
-                qid: testQID,
-                severity: '4',
-                hosts: []  // All hosts remediated
+            if (scores[sysId].confidence >= this.CI_MATCH_STOP_CONFIDENCE && Object.keys(scores).length === 1) {
+                break;
+            }
+        }
+        
+        var match = this._pickBestCandidate(scores, notes);
+        if (match.status === 'ambiguous') {
+            this.log.debug('Ambiguous CMDB match for ' + (host.hostname || host.dns || host.ip) + ': ' + match.detail);
+        }
+        
+        this.ciMatchCache[hostKey] = match;
+        return match;
+    },
+    
+    /**
+     * Choose the winning CI from scored candidates
+     * @param {Object} scores - sys_id -> { confidence, rules[] }
+     * @param {Array} notes - Ambiguity notes collected from the rules
+     * @returns {Object} Reconciliation result
+     */
+    _pickBestCandidate: function(scores, notes) {
+        var ranked = Object.keys(scores).sort(function(a, b) {
+            return scores[b].confidence - scores[a].confidence;
+        });
+        
+        if (ranked.length === 0 || scores[ranked[0]].confidence < this.CI_MATCH_MIN_CONFIDENCE) {
+            return {
+                sysId: null,
+                status: notes.length > 0 ? 'ambiguous' : 'unmatched',
+                rule: '',
+                confidence: ranked.length > 0 ? scores[ranked[0]].confidence : 0,
+                detail: notes.length > 0 ? notes.join('; ') : 'no rule matched'
             };
-            
-            var result4 = this._processQID(testQID, stage4Data);
-            
-            if (result4 === 'flagged') {
-                this.log.info('✓ RITM flagged for closure');
-                this.log.info('✓ Check work notes for "ALL HOSTS REMEDIATED" message');
-                testResults.stage4 = true;
-            } else {
-                this.log.error('✗ Stage 4 FAILED - Expected "flagged", got "' + result4 + '"');
+        }
+        
+        var best = scores[ranked[0]];
+        
+        // Two different CIs with similar scores - refuse to guess
+        if (ranked.length > 1 && best.confidence - scores[ranked[1]].confidence < this.CI_MATCH_AMBIGUITY_MARGIN) {
+            return {
+                sysId: null,
+                status: 'ambiguous',
+                rule: '',
+                confidence: best.confidence,
+                detail: best.rules.join('+') + ' and ' + scores[ranked[1]].rules.join('+') + ' point at different CIs'
+            };
+        }
+        
+        return {
+            sysId: ranked[0],
+            status: 'matched',
+            rule: best.rules.join('+'),
+            confidence: best.confidence,
+            detail: notes.join('; ')
+        };
+    },
+    
+    /**
+     * Restrict candidate CIs to the configured classes and operational states
+     * @param {Array} sysIds - Candidate CI sys_ids
+     * @returns {Array} Eligible sys_ids
+     */
+    _filterEligibleCIs: function(sysIds) {
+        if (!sysIds || sysIds.length === 0) {
+            return [];
+        }
+        
+        var eligible = [];
+        var gr = new GlideRecord('cmdb_ci');
+        gr.addQuery('sys_id', 'IN', sysIds.join(','));
+        if (this.CI_MATCH_CLASSES) {
+            gr.addQuery('sys_class_name', 'IN', this._getMatchClasses().join(','));
+        }
+        if (this.CI_MATCH_OPERATIONAL_STATUSES) {
+            gr.addQuery('operational_status', 'IN', this.CI_MATCH_OPERATIONAL_STATUSES);
+        }
+        gr.query();
+        
+        while (gr.next()) {
+            eligible.push(gr.sys_id.toString());
+        }
+        
+        return eligible;
+    },
+    
+    /**
+     * CI_MATCH_CLASSES with their extensions (AIX, Solaris, HP-UX servers and so on), read once per run
+     * @returns {Array} Class names
+     */
+    _getMatchClasses: function() {
+        if (!this.matchClasses) {
+            this.matchClasses = [];
+            var bases = this.CI_MATCH_CLASSES.split(',');
+            for (var i = 0; i < bases.length; i++) {
+                var extensions = new TableUtils(bases[i].trim()).getAllExtensions();
+                for (var j = 0; j < extensions.size(); j++) {
+                    var ciClass = String(extensions.get(j));
+                    if (this.matchClasses.indexOf(ciClass) === -1) {
+                        this.matchClasses.push(ciClass);
+                    }
+                }
+            }
+        }
+        return this.matchClasses;
+    },
+    
+    /**
+     * Query a table for CIs by field value
+     * @param {string} table - Table to query
+     * @param {string} field - Field to match
+     * @param {string} value - Value to match (comma list when op is IN)
+     * @param {string} ciField - Reference field holding the CI (empty = the record itself)
+     * @param {string} op - Query operator (default '=')
+     * @returns {Array} Unique CI sys_ids
+     */
+    _queryCISysIds: function(table, field, value, ciField, op) {
+        var sysIds = [];
+        if (!value) {
+            return sysIds;
+        }
+        
+        var gr = new GlideRecord(table);
+        gr.addQuery(field, op || '=', value);
+        gr.setLimit(this.CI_MATCH_MAX_CANDIDATES);
+        gr.query();
+        
+        while (gr.next()) {
+            var sysId = ciField ? gr.getElement(ciField).toString() : gr.sys_id.toString();
+            if (sysId && sysIds.indexOf(sysId) === -1) {
+                sysIds.push(sysId);
+            }
+        }
+        
+        return sysIds;
+    },
+    
+    /**
+     * Merge CI sys_id arrays without duplicates
+     */
+    _mergeSysIds: function() {
+        var merged = [];
+        for (var i = 0; i < arguments.length; i++) {
+            for (var j = 0; j < arguments[i].length; j++) {
+                if (merged.indexOf(arguments[i][j]) === -1) {
+                    merged.push(arguments[i][j]);
+                }
+            }
+        }
+        return merged;
+    },
+    
+    /**
+     * Match rule: Qualys asset ID / host ID stored on the CI correlation field
+     */
+    _matchByCorrelationId: function(host) {
+        var ids = [];
+        if (host.assetId) ids.push(host.assetId);
+        if (host.hostId) ids.push(host.hostId);
+        if (ids.length === 0) {
+            return [];
+        }
+        return this._queryCISysIds('cmdb_ci', this.CI_CORRELATION_FIELD, ids.join(','), '', 'IN');
+    },
+    
+    /**
+     * Match rule: fully qualified DNS name
+     */
+    _matchByFqdn: function(host) {
+        var fqdn = host.dns || '';
+        if (fqdn.indexOf('.') === -1) {
+            return [];
+        }
+        return this._queryCISysIds('cmdb_ci', 'fqdn', fqdn.toLowerCase());
+    },
+    
+    /**
+     * Match rule: exact short host name (DNS/hostname, then NetBIOS)
+     * Exact match only - a prefix match would link WEB1 to WEB10.
+     */
+    _matchByShortName: function(host) {
+        var hostname = host.hostname || host.dns || host.netbios || '';
+        if (!hostname) {
+            return [];
+        }
+        var shortName = hostname.split('.')[0].toUpperCase();
+        
+        var sysIds = this._queryCISysIds('cmdb_ci', 'name', shortName);
+        if (host.netbios && host.netbios.toUpperCase() !== shortName) {
+            sysIds = this._mergeSysIds(sysIds, this._queryCISysIds('cmdb_ci', 'name', host.netbios.toUpperCase()));
+        }
+        return sysIds;
+    },
+    
+    /**
+     * Match rule: IP address on the CI, its network adapters or IP address records
+     */
+    _matchByIpAddress: function(host) {
+        if (!host.ip) {
+            return [];
+        }
+        return this._mergeSysIds(
+            this._queryCISysIds('cmdb_ci', 'ip_address', host.ip),
+            this._queryCISysIds('cmdb_ci_network_adapter', 'ip_address', host.ip, 'cmdb_ci'),
+            this._queryCISysIds('cmdb_ci_ip_address', 'ip_address', host.ip, 'nic.cmdb_ci')
+        );
+    },
+    
+    /**
+     * Match rule: hardware serial number from the host asset API
+     */
+    _matchBySerialNumber: function(host) {
+        var asset = this._getHostAsset(host);
+        if (!asset || !asset.serial) {
+            return [];
+        }
+        return this._queryCISysIds('cmdb_ci', 'serial_number', asset.serial);
+    },
+    
+    /**
+     * Match rule: MAC address from the host asset API on the CI or its network adapters
+     * A host with several interfaces matches through any of them.
+     */
+    _matchByMacAddress: function(host) {
+        var asset = this._getHostAsset(host);
+        if (!asset || asset.macs.length === 0) {
+            return [];
+        }
+        var macs = asset.macs.join(',');
+        return this._mergeSysIds(
+            this._queryCISysIds('cmdb_ci', 'mac_address', macs, '', 'IN'),
+            this._queryCISysIds('cmdb_ci_network_adapter', 'mac_address', macs, 'cmdb_ci', 'IN')
+        );
+    },
+    
+    /**
+     * Key of a host in hostAssets ('' for hosts without a detection host ID)
+     */
+    _getHostAssetKey: function(host) {
+        if (!host.hostId) {
+            return '';
+        }
+        return (host.scope ? this._getScopeConnection(host.scope) : this.DEFAULT_CONNECTION) + '/' + host.hostId;
+    },
+    
+    /**
+     * Serial number and MAC addresses of a host, as loaded by _loadHostAssets
+     * @returns {Object|null} { serial, macs } or null if Qualys has no host asset for it
+     */
+    _getHostAsset: function(host) {
+        return this.hostAssets[this._getHostAssetKey(host)] || null;
+    },
+    
+    /**
+     * Read serial numbers and MAC addresses for hosts not yet reconciled this run
+     * Requests go per connection in batches of HOST_ASSET_BATCH_SIZE host IDs. Hosts
+     * Qualys returns nothing for are remembered as null so they are not asked for again.
+     * @param {Array} hosts - Host objects about to be reconciled
+     */
+    _loadHostAssets: function(hosts) {
+        if (this.hostAssetError || !this._usesHostAssetRules()) {
+            return;
+        }
+        
+        var pending = {};   // Connection -> host IDs
+        for (var i = 0; i < hosts.length; i++) {
+            var key = this._getHostAssetKey(hosts[i]);
+            if (!key || this.hostAssets.hasOwnProperty(key) || this.ciMatchCache[this._getHostKey(hosts[i])]) {
+                continue;
             }
             
-            // ==================== CLEANUP ====================
-            this.log.info('');
-            this.log.info('═══ CLEANUP ═══');
+            var connection = key.substring(0, key.lastIndexOf('/'));
+            pending[connection] = pending[connection] || [];
+            if (pending[connection].indexOf(hosts[i].hostId) === -1) {
+                pending[connection].push(hosts[i].hostId);
+            }
+        }
+        
+        for (var name in pending) {
+            var hostIds = pending[name];
             
-            if (ritmSysId) {
-                var ritmToDelete = new GlideRecord('sc_req_item');
-                if (ritmToDelete.get(ritmSysId)) {
-                    var ritmNumber = ritmToDelete.number.toString();
-                    var requestId = ritmToDelete.request.toString();
-                    
-                    ritmToDelete.deleteRecord();
-                    this.log.info('✓ Deleted test RITM: ' + ritmNumber);
+            for (var b = 0; b < hostIds.length; b += this.HOST_ASSET_BATCH_SIZE) {
+                this._refreshRunLocks();
+                var batch = hostIds.slice(b, b + this.HOST_ASSET_BATCH_SIZE);
+                var found;
+                try {
+                    found = this._fetchHostAssets(batch, name);
+                } catch (ex) {
+                    if (!(ex instanceof QualysApiClient.ApiError)) throw ex;
                     
-                    // Delete parent request if empty
-                    var reqGr = new GlideRecord('sc_request');
-                    if (reqGr.get(requestId)) {
-                        var itemCheck = new GlideRecord('sc_req_item');
-                        itemCheck.addQuery('request', requestId);
-                        itemCheck.query();
-                        
-                        if (itemCheck.getRowCount() === 0) {
-                            reqGr.deleteRecord();
-                            this.log.info('✓ Deleted empty parent request');
-                        }
+                    if (ex.retryable && !ex.deferred) {
+                        this.log.warn('Host asset batch failed after ' + ex.attempts + ' attempts, serial/MAC rules skip ' +
+                                      batch.length + ' hosts: ' + ex.getMessage());
+                        continue;
                     }
-                    
-                    testResults.cleanup = true;
+                    this.hostAssetError = ex;
+                    this.log.error('Host asset lookups stopped, serial/MAC rules skipped for the rest of the run - ' + ex.getMessage());
+                    return;
+                }
+                
+                for (var j = 0; j < batch.length; j++) {
+                    this.hostAssets[name + '/' + batch[j]] = found[batch[j]] || null;
+                }
+            }
+        }
+    },
+    
+    /**
+     * True if CI_MATCH_RULES includes a rule fed by the host asset API
+     */
+    _usesHostAssetRules: function() {
+        for (var i = 0; i < this.CI_MATCH_RULES.length; i++) {
+            var name = this.CI_MATCH_RULES[i].name;
+            if (name === 'serialNumber' || name === 'macAddress') {
+                return true;
+            }
+        }
+        return false;
+    },
+    
+    /**
+     * Fetch one batch of host assets
+     * @param {Array} hostIds - Detection host IDs
+     * @param {string} connectionName - Connection profile the hosts were pulled from
+     * @returns {Object} Host ID -> { serial, macs }
+     * @throws {QualysApiClient.ApiError} If Qualys refused the request
+     */
+    _fetchHostAssets: function(hostIds, connectionName) {
+        var request = '<ServiceRequest><filters>' +
+                      '<Criteria field="qwebHostId" operator="IN">' + hostIds.join(',') + '</Criteria>' +
+                      '</filters><preferences><limitResults>' + hostIds.length + '</limitResults></preferences></ServiceRequest>';
+        var body = this._getApiClient(connectionName).postXml(this.HOST_ASSET_API_PATH, request,
+                                                               'Host assets (' + hostIds.length + ' hosts)');
+        
+        var responseCode = this._extractTag(body, 'responseCode');
+        if (responseCode !== 'SUCCESS') {
+            var message = this._extractTagPath(body, 'responseErrorDetails', 'errorMessage');
+            throw new QualysApiClient.ApiError({
+                kind: responseCode === 'INVALID_CREDENTIALS' || responseCode === 'UNAUTHORIZED' ? 'auth' : 'api',
+                text: (responseCode || 'no responseCode') + (message ? ': ' + message : ''),
+                label: 'Host assets'
+            });
+        }
+        
+        return this._parseHostAssets(body);
+    },
+    
+    /**
+     * Parse a host asset search response
+     * MAC addresses are normalized to upper case with colons, as the CMDB stores them.
+     * @param {string} xmlBody - ServiceResponse XML
+     * @returns {Object} Host ID -> { serial, macs }
+     */
+    _parseHostAssets: function(xmlBody) {
+        var parsed = {};
+        var assetRegex = /<HostAsset>([\s\S]*?)<\/HostAsset>/g;
+        var assetMatch;
+        
+        while ((assetMatch = assetRegex.exec(xmlBody)) !== null) {
+            var assetBlock = assetMatch[1];
+            var hostId = this._extractTag(assetBlock, 'qwebHostId');
+            if (!hostId) continue;
+            
+            var macs = [];
+            var macRegex = /<macAddress>([\s\S]*?)<\/macAddress>/g;
+            var macMatch;
+            while ((macMatch = macRegex.exec(assetBlock)) !== null) {
+                var mac = this._cleanCDATA(macMatch[1]).toUpperCase().replace(/-/g, ':');
+                if (/^([0-9A-F]{2}:){5}[0-9A-F]{2}$/.test(mac) && mac !== '00:00:00:00:00:00' && macs.indexOf(mac) === -1) {
+                    macs.push(mac);
                 }
             }
             
-        } catch (ex) {
-            this.log.error('Lifecycle test error: ' + ex.getMessage());
+            parsed[hostId] = {
+                serial: this.HOST_ASSET_SERIAL_TAG ? this._cleanCDATA(this._extractTag(assetBlock, this.HOST_ASSET_SERIAL_TAG)) : '',
+                macs: macs
+            };
         }
         
-        // ==================== SUMMARY ====================
-        this.log.info('');
-        this.log.info('╔══════════════════════════════════════════════════════════════╗');
-        this.log.info('║                    TEST RESULTS SUMMARY                      ║');
-        this.log.info('╚══════════════════════════════════════════════════════════════╝');
-        this.log.info('');
-        this.log.info('Stage 1 (Initial Detection):    ' + (testResults.stage1 ? '✓ PASSED' : '✗ FAILED'));
-        this.log.info('Stage 2 (Partial Remediation):  ' + (testResults.stage2 ? '✓ PASSED' : '✗ FAILED'));
-        this.log.info('Stage 3 (New Host Affected):    ' + (testResults.stage3 ? '✓ PASSED' : '✗ FAILED'));
-        this.log.info('Stage 4 (Full Remediation):     ' + (testResults.stage4 ? '✓ PASSED' : '✗ FAILED'));
-        this.log.info('Cleanup:                        ' + (testResults.cleanup ? '✓ PASSED' : '✗ FAILED'));
-        this.log.info('');
+        return parsed;
+    },
+    
+    /**
+     * Describe how a host was reconciled, for justification and work notes
+     * @param {Object} host - Host with ciMatch
+     * @returns {string} e.g. 'fqdn+ipAddress, 100%' or 'ambiguous: shortName matched 2 CIs'
+     */
+    _describeMatch: function(host) {
+        var match = host.ciMatch;
+        if (!match) {
+            return '';
+        }
+        if (match.status === 'matched') {
+            return match.rule + ', ' + match.confidence + '%';
+        }
+        return match.status + ': ' + match.detail;
+    },
+    
+    // ============================================================
+    // EXCEPTION EXPIRY METHODS
+    // ============================================================
+    
+    /**
+     * Check exceptions in effect against their dateto - called by a daily Scheduled Job
+     * Exceptions in effect are approved RITMs that are open or fulfilled (closed complete) and were
+     * not auto-closed as remediated - see EXCEPTED_RITM_STATES. Writes reminders at each
+     * EXPIRY_WARNING_DAYS window and handles exceptions that have expired using the host
+     * snapshot from the latest integration run.
+     * Hosts the renewals could not match are recorded in UNMATCHED_HOST_TABLE.
+     * Renewals create RITMs, so expired exceptions are only handled while every scope's run lock
+     * is held - if a run holds one, they are left for the next check and only reminders are sent.
+     * @returns {Object} { checked, reminders, renewed, expired, deferred, errors, unmatchedHosts }
+     */
+    runExpiryCheck: function() {
+        this.log.info('=== Qualys Exception Expiry Check Started ===');
+        
+        // PREVIEW_MODE previews run() only
+        var configErrors = this._checkConfig({ PREVIEW_MODE: false });
+        if (configErrors.length > 0) {
+            return { success: false, error: 'Invalid configuration: ' + configErrors.join('; ') };
+        }
+        
+        var stats = { checked: 0, reminders: 0, renewed: 0, expired: 0, deferred: 0, errors: 0 };
+        var today = new GlideDateTime().getDate().toString();
+        
+        var lockError = this._acquireRunLocks(Object.keys(this.QUALYS_SCOPES));
+        if (lockError) {
+            this.log.warn('Expired exceptions left for the next check - ' + lockError);
+        }
+        
+        var gr = new GlideRecord('sc_req_item');
+        gr.addQuery('cat_item', this.CATALOG_ITEM_SYS_ID);
+        gr.addQuery('approval', 'approved');
+        gr.addQuery('state', 'NOT IN', this.CLOSED_RITM_STATES).addOrCondition('state', this.FULFILLED_EXCEPTION_STATE);
+        gr.query();
+        
+        while (gr.next()) {
+            var dateTo = gr.variables.dateto ? gr.variables.dateto.toString() : '';
+            if (!dateTo) continue;
+            
+            // A remediated exception ended when it was auto-closed
+            var ritmState = this._getRITMState(gr.sys_id.toString());
+            if (ritmState && ritmState.u_auto_closed.toString() === 'true') continue;
+            stats.checked++;
+            
+            try {
+                this._refreshRunLocks();
+                var daysLeft = this._daysBetween(today, dateTo);
+                
+                if (daysLeft < 0 && lockError) {
+                    stats.deferred++;
+                } else if (daysLeft < 0) {
+                    if (this._handleExpiredException(gr, dateTo) === 'renewed') {
+                        stats.renewed++;
+                    } else {
+                        stats.expired++;
+                    }
+                } else if (this._sendExpiryReminder(gr, dateTo, daysLeft)) {
+                    stats.reminders++;
+                }
+            } catch (ex) {
+                if (ex instanceof QualysExceptionIntegration.RunLockLostError) {
+                    this.log.error('Expiry check stopped: ' + ex.getMessage());
+                    stats.errors++;
+                    break;
+                }
+                this.log.error('Expiry check failed for ' + gr.number + ': ' + ex.getMessage());
+                stats.errors++;
+            }
+        }
         
-        var allPassed = testResults.stage1 && testResults.stage2 && testResults.stage3 && testResults.stage4 && testResults.cleanup;
-        this.log.info('Overall Result: ' + (allPassed ? '✓ ALL TESTS PASSED' : '✗ SOME TESTS FAILED'));
-        this.log.info('');
+        stats.unmatchedHosts = this._flushUnmatchedHosts();
+        this._releaseRunLocks();
         
-        return testResults;
+        this.log.info('Expiry check complete - Checked: ' + stats.checked + ' | Reminders: ' + stats.reminders +
+                     ' | Renewed: ' + stats.renewed + ' | Expired: ' + stats.expired + ' | Deferred: ' + stats.deferred +
+                     ' | Errors: ' + stats.errors + ' | Unmatched hosts: ' + stats.unmatchedHosts);
+        return stats;
     },
     
-    // ============================================================
-    // QUALYS API METHODS
-    // ============================================================
+    /**
+     * Days from one date to another
+     * @param {string} fromDate - yyyy-MM-dd
+     * @param {string} toDate - yyyy-MM-dd
+     * @returns {number} Whole days (negative if toDate is earlier)
+     */
+    _daysBetween: function(fromDate, toDate) {
+        var from = new GlideDateTime(fromDate + ' 00:00:00');
+        var to = new GlideDateTime(toDate + ' 00:00:00');
+        return Math.round((to.getNumericValue() - from.getNumericValue()) / 86400000);
+    },
     
     /**
-     * Pull vulnerability detections from Qualys API
-     * @returns {Array} Array of vulnerability detection objects
+     * Write a reminder when the exception enters a new warning window
+     * Each window is reminded once; the last window sent is kept on the tracking record.
+     * @param {GlideRecord} ritmGr - Approved exception RITM
+     * @param {string} dateTo - Exception end date
+     * @param {number} daysLeft - Days until dateTo
+     * @returns {boolean} True if a reminder was sent
      */
-    _pullVulnerabilities: function() {
-        this.log.info('Pulling vulnerabilities from Qualys API...');
+    _sendExpiryReminder: function(ritmGr, dateTo, daysLeft) {
+        // Smallest window the exception has entered
+        var windowDays = null;
+        for (var i = 0; i < this.EXPIRY_WARNING_DAYS.length; i++) {
+            if (daysLeft <= this.EXPIRY_WARNING_DAYS[i] && (windowDays === null || this.EXPIRY_WARNING_DAYS[i] < windowDays)) {
+                windowDays = this.EXPIRY_WARNING_DAYS[i];
+            }
+        }
+        if (windowDays === null) {
+            return false;
+        }
+        
+        var ritmSysId = ritmGr.sys_id.toString();
+        var state = this._getRITMState(ritmSysId);
+        if (state && !state.u_reminder_window.nil() && parseInt(state.u_reminder_window, 10) <= windowDays) {
+            return false;    // Already reminded for this window
+        }
         
-        var endpoint = this.QUALYS_API_URL + '/api/2.0/fo/asset/host/vm/detection/';
+        var qid = ritmGr.variables.identified_qid_s.toString();
+        var team = this._getRITMTeam(ritmGr);
         
-        var request = new sn_ws.RESTMessageV2();
-        request.setEndpoint(endpoint);
-        request.setHttpMethod('POST');
-        request.setBasicAuth(this.QUALYS_USERNAME, this.QUALYS_PASSWORD);
-        request.setRequestHeader('X-Requested-With', 'ServiceNow');
-        request.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded');
+        ritmGr.work_notes = '=== QUALYS INTEGRATION: EXCEPTION EXPIRING ===\n\n' +
+                            'This exception for QID ' + qid + ' expires on ' + dateTo + ' (' + daysLeft + ' days).\n' +
+                            'Currently affected hosts: ' + this._getPreviousHostCount(ritmGr) + '\n\n' +
+                            'Remediate the affected hosts or request a renewal before the end date.';
+        ritmGr.update();
         
-        // Request parameters
-        var params = 'action=list&show_asset_id=1&status=New,Active,Re-Opened';
+        gs.eventQueue(this.EXPIRY_WARNING_EVENT, ritmGr, daysLeft.toString(), team);
+        this._updateRITMState(ritmSysId, qid, { u_reminder_window: windowDays });
         
-        // Add truncation limit if set
-        if (this.TRUNCATION_LIMIT > 0) {
-            params += '&truncation_limit=' + this.TRUNCATION_LIMIT;
-            this.log.info('Using truncation limit: ' + this.TRUNCATION_LIMIT + ' hosts');
-        }
+        this.log.info('Expiry reminder: ' + ritmGr.number + ' (' + daysLeft + ' days left, ' + windowDays + '-day window)');
+        return true;
+    },
+    
+    /**
+     * Handle an exception whose dateto has passed
+     * If hosts are still affected and EXPIRY_ACTION is 'renew', a renewal RITM is
+     * raised with the current hosts and linked to the expired one.
+     * @param {GlideRecord} ritmGr - Expired exception RITM
+     * @param {string} dateTo - Exception end date
+     * @returns {string} 'renewed' or 'expired'
+     */
+    _handleExpiredException: function(ritmGr, dateTo) {
+        var ritmSysId = ritmGr.sys_id.toString();
+        var qid = ritmGr.variables.identified_qid_s.toString();
+        var team = this._getRITMTeam(ritmGr);
+        var hosts = this._hostsFromSnapshot(this._loadHostSnapshot(ritmSysId));
+        var renew = this.EXPIRY_ACTION === 'renew' && hosts.length > 0;
         
-        request.setRequestBody(params);
+        this.log.info('Exception expired: ' + ritmGr.number + ' (QID ' + qid + ', ' + hosts.length + ' hosts still affected)' +
+                     (renew ? ' - raising renewal' : ''));
         
-        var response;
-        try {
-            response = request.execute();
-        } catch (ex) {
-            this.log.error('Exception during API call: ' + ex.getMessage());
-            return null;
+        var workNote = '=== QUALYS INTEGRATION: EXCEPTION EXPIRED ===\n\n' +
+                       'The exception for QID ' + qid + ' ended on ' + dateTo + '.\n' +
+                       'Hosts still affected per the latest Qualys data: ' + hosts.length + '\n';
+        if (renew) {
+            workNote += '\nA renewal request is being raised with the current host list.';
         }
         
-        var httpStatus = response.getStatusCode();
-        var body = response.getBody();
+        ritmGr.work_notes = workNote;
+        ritmGr.close_notes = 'Exception expired on ' + dateTo;
+        ritmGr.state = this.EXPIRED_STATE;
+        ritmGr.update();
+        
+        this._updateRITMState(ritmSysId, qid, { u_expired_on: new GlideDateTime() });
+        gs.eventQueue(this.EXPIRED_EVENT, ritmGr, hosts.length.toString(), team);
         
-        this.log.info('HTTP Status: ' + httpStatus);
-        this.log.info('Response size: ' + (body ? Math.round(body.length / 1024) + ' KB' : '0 KB'));
+        this._unindexRITM(qid, ritmSysId);
         
-        if (httpStatus !== 200) {
-            this.log.error('Qualys API returned status: ' + httpStatus);
-            return null;
+        if (!renew) {
+            return 'expired';
         }
         
-        if (!body || body.trim() === '') {
-            this.log.error('Qualys returned empty response body');
-            return null;
+        var state = this._getRITMState(ritmSysId);
+        var vulnGroup = {
+            qid: qid,
+            severity: state ? state.u_severity.toString() : '',
+            hosts: hosts
+        };
+        
+        if (!this.SKIP_KB_LOOKUPS && !this._getVulnDetails(qid)) {
+            this._batchFetchVulnDetails([qid]);
         }
         
-        return this._parseQualysResponse(body);
+        var routeTeam = this.SPLIT_RITM_BY_TEAM ? team : null;
+        return this._createRITM(qid, vulnGroup, this._getVulnDetails(qid), ritmGr, routeTeam) ? 'renewed' : 'expired';
     },
     
+    // ============================================================
+    // REMEDIATION SWEEP METHODS
+    // ============================================================
+    
     /**
-     * Parse Qualys XML response into structured data using regex (reliable method)
-     * @param {string} xmlBody - Raw XML response from Qualys
-     * @returns {Array} Array of vulnerability objects
+     * Flag open RITMs whose QID no longer appears in the Qualys data
+     * A fully remediated QID simply disappears from the detection feed, so
+     * _addDetection never produces an empty group for it. Only runs after a
+     * complete pull, and refuses to act when an implausible share of open
+     * RITMs would be newly flagged at once. RITMs flagged on earlier runs
+     * count another clean scan towards the closure policy.
+     * @param {Object} groupedVulns - Current data keyed by QID
+     * @returns {Object} { vanished, flagged, closed }
      */
-    _parseQualysResponse: function(xmlBody) {
-        var vulns = [];
+    _sweepVanishedQIDs: function(groupedVulns) {
+        var sweep = { vanished: 0, flagged: 0, closed: 0 };
         
-        this.log.debug('Starting XML parsing...');
+        if (!this.pullStats || !this.pullStats.complete) {
+            this.log.warn('Skipping remediation sweep - Qualys pull was incomplete');
+            return sweep;
+        }
         
-        // Use regex parsing for reliability with large documents
-        var hostRegex = /<HOST>([\s\S]*?)<\/HOST>/g;
-        var hostMatch;
-        var hostCount = 0;
+        if (this.pullStats.filtered) {
+            this.log.info('Skipping remediation sweep - a scope of this run filters the pull');
+            return sweep;
+        }
         
-        while ((hostMatch = hostRegex.exec(xmlBody)) !== null) {
-            hostCount++;
-            var hostBlock = hostMatch[1];
-            
-            var hostInfo = {
-                ip: this._extractTag(hostBlock, 'IP'),
-                dns: this._cleanCDATA(this._extractTag(hostBlock, 'DNS')),
-                assetId: this._extractTag(hostBlock, 'ASSET_ID'),
-                os: this._cleanCDATA(this._extractTag(hostBlock, 'OS')),
-                hostname: this._cleanCDATA(this._extractTag(hostBlock, 'HOSTNAME'))
-            };
-            
-            // Use DNS as hostname fallback
-            if (!hostInfo.hostname && hostInfo.dns) {
-                hostInfo.hostname = hostInfo.dns;
-            }
-            
-            // Extract DETECTION blocks within this host
-            var detRegex = /<DETECTION>([\s\S]*?)<\/DETECTION>/g;
-            var detMatch;
-            
-            while ((detMatch = detRegex.exec(hostBlock)) !== null) {
-                var detBlock = detMatch[1];
-                
-                var vuln = {
-                    host: hostInfo,
-                    qid: this._extractTag(detBlock, 'QID'),
-                    severity: this._extractTag(detBlock, 'SEVERITY'),
-                    status: this._extractTag(detBlock, 'STATUS'),
-                    firstFound: this._extractTag(detBlock, 'FIRST_FOUND_DATETIME'),
-                    lastFound: this._extractTag(detBlock, 'LAST_FOUND_DATETIME'),
-                    results: this._cleanCDATA(this._extractTag(detBlock, 'RESULTS'))
-                };
-                
-                vulns.push(vuln);
-            }
+        if (!this.ritmIndex) {
+            this._buildRITMIndex();
         }
         
-        this.log.info('Parsed ' + hostCount + ' hosts, ' + vulns.length + ' vulnerability detections');
-        return vulns;
-    },
-    
-    /**
-     * Batch fetch vulnerability details from Qualys KnowledgeBase
-     * @param {Array} qidList - Array of QIDs to fetch
-     */
-    _batchFetchVulnDetails: function(qidList) {
-        this.log.info('Fetching KB details for ' + qidList.length + ' QIDs in batches of ' + this.KB_BATCH_SIZE);
+        var openQids = Object.keys(this.ritmIndex);
+        var openRitms = 0;
+        var vanished = [];
+        var newlyVanished = 0;
         
-        for (var i = 0; i < qidList.length; i += this.KB_BATCH_SIZE) {
-            var batch = qidList.slice(i, Math.min(i + this.KB_BATCH_SIZE, qidList.length));
-            this._fetchKBBatch(batch);
+        for (var i = 0; i < openQids.length; i++) {
+            var qid = openQids[i];
+            var routes = Object.keys(this.ritmIndex[qid]);
+            openRitms += routes.length;
             
-            if (i > 0 && i % 100 === 0) {
-                this.log.debug('KB fetch progress: ' + i + '/' + qidList.length);
+            if (qid.indexOf(this.TEST_QID_PREFIX) === 0) continue;
+            if (!groupedVulns[qid]) {
+                vanished.push(qid);
+                
+                for (var r = 0; r < routes.length; r++) {
+                    // Still detected by a scope outside this run
+                    if (this.partialScopes && this._getOutOfScopeHosts(this.ritmIndex[qid][routes[r]]).length > 0) continue;
+                    
+                    var state = this._getRITMState(this.ritmIndex[qid][routes[r]]);
+                    if (!state || state.u_flagged_on.nil()) {
+                        newlyVanished++;
+                    }
+                }
             }
         }
         
-        this.log.info('KB details cached for ' + Object.keys(this.vulnDetailsCache).length + ' QIDs');
-    },
-    
-    /**
-     * Fetch KB details for a batch of QIDs
-     * @param {Array} qidBatch - Array of QIDs
-     */
-    _fetchKBBatch: function(qidBatch) {
-        var endpoint = this.QUALYS_API_URL + '/api/2.0/fo/knowledge_base/vuln/';
+        sweep.vanished = vanished.length;
+        if (vanished.length === 0) {
+            this.log.info('Remediation sweep: every open RITM QID is still detected');
+            return sweep;
+        }
         
-        var request = new sn_ws.RESTMessageV2();
-        request.setEndpoint(endpoint);
-        request.setHttpMethod('POST');
-        request.setBasicAuth(this.QUALYS_USERNAME, this.QUALYS_PASSWORD);
-        request.setRequestHeader('X-Requested-With', 'ServiceNow');
-        request.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded');
+        var percent = Math.round(newlyVanished * 100 / openRitms);
+        if (percent > this.VANISHED_QID_MAX_PERCENT) {
+            this.log.error('Remediation sweep aborted - ' + newlyVanished + ' of ' + openRitms + ' open RITMs (' + percent +
+                           '%) would be flagged, above VANISHED_QID_MAX_PERCENT (' + this.VANISHED_QID_MAX_PERCENT + '%)');
+            return sweep;
+        }
         
-        var params = 'action=list&ids=' + qidBatch.join(',');
-        request.setRequestBody(params);
+        this.log.info('Remediation sweep: ' + vanished.length + ' open RITM QIDs no longer detected (' + newlyVanished + ' RITMs newly)');
         
-        try {
-            var response = request.execute();
-            
-            if (response.getStatusCode() !== 200) {
-                this.log.warn('KB batch fetch failed with status: ' + response.getStatusCode());
-                return;
+        for (var j = 0; j < vanished.length; j++) {
+            this._refreshRunLocks();
+            var ritmsBefore = this._getIndexedRITMs(vanished[j]);
+            var results;
+            try {
+                results = this._processQIDRoutes(vanished[j], { qid: vanished[j], severity: '', hosts: [] });
+                for (var k = 0; k < results.length; k++) {
+                    if (results[k] === 'flagged') {
+                        sweep.flagged++;
+                    } else if (results[k] === 'closed') {
+                        sweep.closed++;
+                    }
+                }
+            } catch (ex) {
+                this._logQIDError(vanished[j], 'Error flagging vanished QID ' + vanished[j] + ': ' + ex.getMessage());
+                results = ['error'];
             }
-            
-            var body = response.getBody();
-            this._parseKBResponse(body);
-            
-        } catch (ex) {
-            this.log.warn('KB batch fetch error: ' + ex.getMessage());
+            this._recordQIDOutcome(vanished[j], 'sweep', results, null, ritmsBefore);
         }
+        
+        return sweep;
     },
     
+    // ============================================================
+    // RITM STATE METHODS
+    // ============================================================
+    
     /**
-     * Parse KB response and populate cache
-     * @param {string} xmlBody - KB API response
+     * Get the integration's tracking record for a RITM
+     * @param {string} ritmSysId - RITM sys_id
+     * @returns {GlideRecord|null} Tracking record or null if none exists
      */
-    _parseKBResponse: function(xmlBody) {
-        var vulnRegex = /<VULN>([\s\S]*?)<\/VULN>/g;
-        var vulnMatch;
-        
-        while ((vulnMatch = vulnRegex.exec(xmlBody)) !== null) {
-            var vulnBlock = vulnMatch[1];
-            var qid = this._extractTag(vulnBlock, 'QID');
-            
-            if (qid) {
-                // Extract CVE list
-                var cveList = [];
-                var cveRegex = /<CVE_LIST>[\s\S]*?<ID>([\s\S]*?)<\/ID>[\s\S]*?<\/CVE_LIST>/g;
-                var cveMatch;
-                while ((cveMatch = cveRegex.exec(vulnBlock)) !== null) {
-                    cveList.push(this._cleanCDATA(cveMatch[1]));
-                }
-                
-                // Alternative CVE extraction
-                if (cveList.length === 0) {
-                    var altCveRegex = /<ID>CVE[^<]*<\/ID>/g;
-                    var altMatch;
-                    while ((altMatch = altCveRegex.exec(vulnBlock)) !== null) {
-                        var cve = altMatch[0].replace(/<\/?ID>/g, '');
-                        cveList.push(cve);
-                    }
-                }
-                
-                this.vulnDetailsCache[qid] = {
-                    title: this._cleanCDATA(this._extractTag(vulnBlock, 'TITLE')),
-                    cveList: cveList,
-                    cvssBase: this._extractTag(vulnBlock, 'CVSS/BASE') || this._extractTagPath(vulnBlock, 'CVSS', 'BASE'),
-                    cvss3Base: this._extractTag(vulnBlock, 'CVSS_V3/BASE') || this._extractTagPath(vulnBlock, 'CVSS_V3', 'BASE'),
-                    solution: this._cleanCDATA(this._extractTag(vulnBlock, 'SOLUTION')),
-                    diagnosis: this._cleanCDATA(this._extractTag(vulnBlock, 'DIAGNOSIS'))
-                };
-            }
+    _getRITMState: function(ritmSysId) {
+        var gr = new GlideRecord(this.RITM_STATE_TABLE);
+        if (gr.get('u_ritm', ritmSysId)) {
+            return gr;
         }
+        return null;
     },
     
     /**
-     * Get cached vulnerability details
-     * @param {string} qid - QID to lookup
-     * @returns {Object|null} Vulnerability details
+     * Check whether a RITM has already been flagged for closure
+     * @param {GlideRecord} ritmGr - RITM record
+     * @returns {boolean}
      */
-    _getVulnDetails: function(qid) {
-        return this.vulnDetailsCache[qid] || null;
+    _isFlaggedForClosure: function(ritmGr) {
+        var state = this._getRITMState(ritmGr.sys_id.toString());
+        return !!state && !state.u_flagged_on.nil();
     },
     
-    // ============================================================
-    // DATA PROCESSING METHODS
-    // ============================================================
-    
     /**
-     * Group vulnerabilities by QID
-     * @param {Array} vulnData - Array of vulnerability objects
-     * @returns {Object} Object keyed by QID with array of hosts
+     * Set or clear the closure flag for a RITM
+     * @param {GlideRecord} ritmGr - RITM record
+     * @param {string} qid - QID on the RITM
+     * @param {boolean} flagged - True to flag, false to clear
      */
-    _groupByQID: function(vulnData) {
-        var grouped = {};
-        
-        for (var i = 0; i < vulnData.length; i++) {
-            var vuln = vulnData[i];
-            var qid = vuln.qid;
-            
-            if (!grouped[qid]) {
-                grouped[qid] = {
-                    qid: qid,
-                    severity: vuln.severity,
-                    hosts: []
-                };
-            }
-            
-            grouped[qid].hosts.push({
-                ip: vuln.host.ip,
-                dns: vuln.host.dns,
-                hostname: vuln.host.hostname,
-                assetId: vuln.host.assetId,
-                os: vuln.host.os,
-                status: vuln.status,
-                firstFound: vuln.firstFound,
-                lastFound: vuln.lastFound
-            });
+    _setClosureFlag: function(ritmGr, qid, flagged) {
+        var ritmSysId = ritmGr.sys_id.toString();
+        if (!flagged && !this._getRITMState(ritmSysId)) {
+            return;
         }
         
-        return grouped;
+        // The flagging scan is the first clean scan of the grace period
+        this._updateRITMState(ritmSysId, qid, {
+            u_flagged_on: flagged ? new GlideDateTime() : '',
+            u_clean_scans: flagged ? 1 : 0,
+            u_last_scan_counted: flagged ? (this._getLatestHostScan(ritmSysId) || new GlideDateTime().toString()) : ''
+        });
     },
     
     /**
-     * Process a single QID - create or update RITM
-     * @param {string} qid - Qualys QID
-     * @param {Object} vulnGroup - Grouped vulnerability data
-     * @returns {string} 'created', 'updated', 'flagged', or 'skipped'
+     * Write fields to a RITM's tracking record, creating it if needed
+     * @param {string} ritmSysId - RITM sys_id
+     * @param {string} qid - QID on the RITM
+     * @param {Object} values - Field name -> value
      */
-    _processQID: function(qid, vulnGroup) {
-        // Check if RITM already exists for this QID (OPEN only)
-        var existingRitm = this._findExistingRITM(qid);
+    _updateRITMState: function(ritmSysId, qid, values) {
+        var state = this._getRITMState(ritmSysId);
         
-        // Get vulnerability details from cache
-        var vulnDetails = this._getVulnDetails(qid);
+        if (!state) {
+            state = new GlideRecord(this.RITM_STATE_TABLE);
+            state.initialize();
+            state.u_ritm = ritmSysId;
+            state.u_qid = qid;
+        }
         
-        // Check if all hosts are remediated
-        if (vulnGroup.hosts.length === 0) {
-            if (existingRitm) {
-                // Flag existing RITM for closure
-                this._flagRITMForClosure(existingRitm, qid);
-                return 'flagged';
-            } else {
-                // No hosts and no RITM - nothing to do
-                return 'skipped';
-            }
+        for (var field in values) {
+            state.setValue(field, values[field]);
         }
         
-        if (existingRitm) {
-            // Update existing RITM
-            this._updateRITM(existingRitm, vulnGroup, vulnDetails);
-            return 'updated';
+        if (state.isNewRecord()) {
+            state.insert();
         } else {
-            // Create new RITM
-            this._createRITM(qid, vulnGroup, vulnDetails);
-            return 'created';
+            state.update();
         }
     },
     
     // ============================================================
-    // SERVICENOW RITM METHODS
+    // CLOSURE POLICY METHODS
     // ============================================================
     
     /**
-     * Find existing OPEN RITM for a QID
-     * @param {string} qid - Qualys QID
-     * @returns {GlideRecord|null} RITM record or null if not found
+     * Count another Qualys scan in which a flagged RITM's QID stayed clean
+     * Counted only when one of the RITM's hosts was scanned after the last scan counted,
+     * so several runs (or a MAX_QIDS_PER_RUN cycle) between two scans count once.
+     * @param {GlideRecord} ritmGr - Flagged RITM
      */
-    _findExistingRITM: function(qid) {
-        var gr = new GlideRecord('sc_req_item');
-        gr.addQuery('cat_item', this.CATALOG_ITEM_SYS_ID);
-        // Only find OPEN RITMs - exclude closed (3), cancelled (4), and completed (7)
-        gr.addQuery('state', 'NOT IN', '3,4,7');
-        gr.query();
+    _recordCleanScan: function(ritmGr) {
+        if (this.PREVIEW_MODE) return;
         
-        while (gr.next()) {
-            var qidValue = gr.variables.identified_qid_s ? gr.variables.identified_qid_s.toString() : '';
-            // Exact match only (not partial)
-            if (qidValue === qid) {
-                return gr;
+        var ritmSysId = ritmGr.sys_id.toString();
+        var state = this._getRITMState(ritmSysId);
+        if (!state) return;
+        
+        var scanned = this._getLatestHostScan(ritmSysId);
+        if (!scanned || scanned <= state.u_last_scan_counted.toString()) {
+            this.log.debug(ritmGr.number + ': no new scan of its hosts since the last clean scan counted');
+            return;
+        }
+        
+        state.u_clean_scans = (parseInt(state.u_clean_scans, 10) || 0) + 1;
+        state.u_last_scan_counted = scanned;
+        state.update();
+    },
+    
+    /**
+     * Keep the latest LAST_VM_SCANNED_DATE of a pulled host
+     * @param {Object} host - Host from _parseHostElement
+     */
+    _noteHostScan: function(host) {
+        if (!host.lastScanned) return;
+        
+        // 2026-10-18T06:30:00Z -> 2026-10-18 06:30:00, the UTC form GlideDateTime fields hold
+        var scanned = host.lastScanned.replace('T', ' ').replace('Z', '').substring(0, 19);
+        var key = this._getHostKey(host);
+        if (!this.hostScans[key] || scanned > this.hostScans[key]) {
+            this.hostScans[key] = scanned;
+        }
+    },
+    
+    /**
+     * Latest scan of any host in a RITM's snapshot, as pulled by this run
+     * @param {string} ritmSysId - RITM sys_id
+     * @returns {string} UTC date-time, or empty if none of its hosts was in the pull
+     */
+    _getLatestHostScan: function(ritmSysId) {
+        var latest = '';
+        var snapshot = this._loadHostSnapshot(ritmSysId);
+        for (var key in snapshot) {
+            if (this.hostScans[key] && this.hostScans[key] > latest) {
+                latest = this.hostScans[key];
             }
         }
+        return latest;
+    },
+    
+    /**
+     * Check whether a flagged RITM has been clean long enough to close
+     * Due when either configured threshold (scans or days) is reached.
+     * @param {GlideRecord} ritmGr - Flagged RITM
+     * @returns {Object|null} { cleanScans, cleanDays } if due, otherwise null
+     */
+    _getClosureDue: function(ritmGr) {
+        var state = this._getRITMState(ritmGr.sys_id.toString());
+        if (!state || state.u_flagged_on.nil()) {
+            return null;
+        }
         
-        return null;
+        var cleanScans = parseInt(state.u_clean_scans, 10) || 0;
+        var flaggedOn = new GlideDateTime(state.u_flagged_on.toString());
+        var cleanDays = Math.floor((new GlideDateTime().getNumericValue() - flaggedOn.getNumericValue()) / 86400000);
+        
+        var scansDue = this.AUTO_CLOSE_CLEAN_SCANS > 0 && cleanScans >= this.AUTO_CLOSE_CLEAN_SCANS;
+        var daysDue = this.AUTO_CLOSE_CLEAN_DAYS > 0 && cleanDays >= this.AUTO_CLOSE_CLEAN_DAYS;
+        
+        return (scansDue || daysDue) ? { cleanScans: cleanScans, cleanDays: cleanDays } : null;
     },
     
     /**
-     * Create new RITM for a QID
-     * @param {string} qid - Qualys QID
-     * @param {Object} vulnGroup - Grouped vulnerability data
-     * @param {Object} vulnDetails - KB details for the vulnerability
+     * Apply the closure policy to a flagged RITM
+     * In dry-run mode (and in a preview run) the RITM is only added to the closure report.
+     * @param {GlideRecord} ritmGr - Flagged RITM
+     * @param {string} qid - QID on the RITM
+     * @returns {boolean} True if the RITM was closed
      */
-    _createRITM: function(qid, vulnGroup, vulnDetails) {
-        this.log.info('Creating RITM for QID: ' + qid + ' (' + vulnGroup.hosts.length + ' hosts)');
+    _applyClosurePolicy: function(ritmGr, qid) {
+        if (!this.AUTO_CLOSE_ENABLED) {
+            return false;
+        }
         
-        // Process hosts - separate CMDB-matched from unmatched
-        var hostProcessing = this._processHosts(vulnGroup.hosts);
+        var due = this._getClosureDue(ritmGr);
+        if (!due) {
+            return false;
+        }
         
-        // Calculate dates
-        var today = new GlideDateTime();
-        var endDate = new GlideDateTime();
-        endDate.addMonthsUTC(this.EXCEPTION_DURATION_MONTHS);
+        if (this.AUTO_CLOSE_DRY_RUN || this.PREVIEW_MODE) {
+            this.log.info('[DRY RUN] Would close ' + ritmGr.number + ' (QID ' + qid + ') - clean for ' +
+                         due.cleanScans + ' scans / ' + due.cleanDays + ' days');
+            this.closureReport.push({
+                ritm: ritmGr.number.toString(),
+                qid: qid,
+                cleanScans: due.cleanScans,
+                cleanDays: due.cleanDays
+            });
+            return false;
+        }
         
-        // Build justification text with all hosts
-        var justification = this._buildJustification(qid, vulnGroup, vulnDetails, hostProcessing);
+        this._autoCloseRITM(ritmGr, qid, due);
+        return true;
+    },
+    
+    /**
+     * Close a fully remediated RITM
+     * @param {GlideRecord} ritmGr - RITM record
+     * @param {string} qid - QID on the RITM
+     * @param {Object} due - { cleanScans, cleanDays } from _getClosureDue
+     */
+    _autoCloseRITM: function(ritmGr, qid, due) {
+        this.log.info('Auto-closing RITM: ' + ritmGr.number + ' (QID: ' + qid + ')');
         
-        // Create the catalog request
-        var cart = new Cart();
-        var item = cart.addItem(this.CATALOG_ITEM_SYS_ID);
+        var closeNote = 'Closed automatically by the Qualys integration: QID ' + qid + ' has not been detected on any host for ' +
+                        due.cleanScans + ' consecutive complete scans (' + due.cleanDays + ' days).';
         
-        // Set variables
-        cart.setVariable(item, 'identified_qid_s', qid);
-        cart.setVariable(item, 'vulnerability_in_vuln_mgmt_platform', 'Yes');
-        cart.setVariable(item, 'please_select_the_team_responsible_for_remediation', this.TEAM_SYS_ID);
-        cart.setVariable(item, 'datefrom', today.getDate().toString());
-        cart.setVariable(item, 'dateto', endDate.getDate().toString());
-        cart.setVariable(item, 'justification_for_exception', justification);
+        ritmGr.work_notes = '=== QUALYS INTEGRATION: AUTO-CLOSED ===\n\n' + closeNote + '\n\n' +
+                            'If the QID is detected again within ' + this.AUTO_CLOSE_REOPEN_DAYS + ' days this RITM will be reopened.';
+        ritmGr.close_notes = closeNote;
+        ritmGr.state = this.AUTO_CLOSE_STATE;
+        ritmGr.update();
         
-        if (vulnDetails) {
-            if (vulnDetails.cveList && vulnDetails.cveList.length > 0) {
-                cart.setVariable(item, 'identified_cves', vulnDetails.cveList.join(', '));
-            }
-            var cvss = vulnDetails.cvss3Base || vulnDetails.cvssBase || '';
-            cart.setVariable(item, 'highest_cvss', cvss);
+        var state = this._getRITMState(ritmGr.sys_id.toString());
+        if (state) {
+            state.u_auto_closed = true;
+            state.u_closed_on = new GlideDateTime();
+            state.update();
         }
         
-        // Set impacted systems (CMDB-matched hosts only)
-        if (hostProcessing.matchedSysIds.length > 0) {
-            cart.setVariable(item, 'impacted_system', hostProcessing.matchedSysIds.join(','));
+        this._unindexRITM(qid, ritmGr.sys_id.toString());
+    },
+    
+    /**
+     * Find a RITM auto-closed for this QID within the reopen window
+     * @param {string} qid - Qualys QID
+     * @param {string} team - Owning team when SPLIT_RITM_BY_TEAM is set (optional)
+     * @returns {GlideRecord|null} Closed RITM or null
+     */
+    _findReopenableRITM: function(qid, team) {
+        if (this.AUTO_CLOSE_REOPEN_DAYS <= 0) {
+            return null;
         }
         
-        // Submit the request
-        var request = cart.placeOrder();
+        var windowStart = new GlideDateTime();
+        windowStart.addDaysUTC(-this.AUTO_CLOSE_REOPEN_DAYS);
         
-        // Get the RITM that was created
-        var ritmGr = new GlideRecord('sc_req_item');
-        ritmGr.addQuery('request', request.sys_id);
-        ritmGr.query();
+        var state = new GlideRecord(this.RITM_STATE_TABLE);
+        state.addQuery('u_qid', qid);
+        state.addQuery('u_auto_closed', true);
+        state.addQuery('u_closed_on', '>=', windowStart);
+        state.orderByDesc('u_closed_on');
+        state.query();
         
-        if (ritmGr.next()) {
-            // Add work note with summary
-            var workNote = '=== QUALYS INTEGRATION: RITM CREATED ===\n\n';
-            workNote += 'QID: ' + qid + '\n';
-            if (vulnDetails && vulnDetails.title) {
-                workNote += 'Title: ' + vulnDetails.title + '\n';
+        var route = this._getRoute(team);
+        while (state.next()) {
+            var ritmGr = new GlideRecord('sc_req_item');
+            if (!ritmGr.get(state.u_ritm.toString()) || this.CLOSED_RITM_STATES.split(',').indexOf(ritmGr.state.toString()) === -1) {
+                continue;
             }
-            workNote += '\nTotal Hosts: ' + vulnGroup.hosts.length + '\n';
-            workNote += 'CMDB-Linked: ' + hostProcessing.matchedSysIds.length + '\n';
-            workNote += 'Not in CMDB: ' + hostProcessing.unmatchedHosts.length + '\n';
-            
-            if (hostProcessing.unmatchedHosts.length > 0) {
-                workNote += '\n*** ATTENTION: ' + hostProcessing.unmatchedHosts.length + ' hosts not found in CMDB ***\n';
-                workNote += 'See justification field for full host list.\n';
+            if (this._getRoute(this._getRITMTeam(ritmGr)) === route) {
+                return ritmGr;
             }
-            
-            ritmGr.work_notes = workNote;
-            ritmGr.update();
-            
-            this.log.info('Created RITM: ' + ritmGr.number);
         }
+        return null;
+    },
+    
+    /**
+     * Reopen a closed RITM because its QID was detected again
+     * @param {GlideRecord} ritmGr - Closed RITM
+     * @param {string} qid - QID on the RITM
+     */
+    _reopenRITM: function(ritmGr, qid) {
+        if (this.PREVIEW_MODE) {
+            this.log.info('[PREVIEW] Would reopen RITM: ' + ritmGr.number + ' (QID ' + qid + ' detected again)');
+            this.previewReport.reopens.push({ ritm: ritmGr.number.toString(), qid: qid });
+            return;
+        }
+        
+        this.log.info('Reopening RITM: ' + ritmGr.number + ' (QID ' + qid + ' detected again)');
+        
+        ritmGr.work_notes = '=== QUALYS INTEGRATION: REOPENED ===\n\n' +
+                            'QID ' + qid + ' has been detected again after this RITM was closed.';
+        ritmGr.state = this.REOPEN_STATE;
+        ritmGr.active = true;
+        ritmGr.closed_at = '';
+        ritmGr.closed_by = '';
+        ritmGr.update();
+        
+        var state = this._getRITMState(ritmGr.sys_id.toString());
+        if (state) {
+            state.u_auto_closed = false;
+            state.u_closed_on = '';
+            state.u_flagged_on = '';
+            state.u_clean_scans = 0;
+            state.u_last_scan_counted = '';
+            state.update();
+        }
+        
+        this._indexRITM(qid, ritmGr.sys_id.toString(), this._getRITMTeam(ritmGr));
+    },
+    
+    // ============================================================
+    // RITM HOST SNAPSHOT METHODS
+    // ============================================================
+    
+    /**
+     * Load the persisted host snapshot for a RITM
+     * @param {string} ritmSysId - RITM sys_id
+     * @returns {Object} Host key -> { sysId, key, name, ip, dns, assetId, hostId, ciSysId, scope, active }
+     */
+    _loadHostSnapshot: function(ritmSysId) {
+        var snapshot = {};
+        
+        var gr = new GlideRecord(this.RITM_HOST_TABLE);
+        gr.addQuery('u_ritm', ritmSysId);
+        gr.query();
+        
+        while (gr.next()) {
+            var key = gr.u_host_key.toString();
+            snapshot[key] = {
+                sysId: gr.sys_id.toString(),
+                key: key,
+                name: gr.u_hostname.toString(),
+                ip: gr.u_ip.toString(),
+                dns: gr.u_dns.toString(),
+                assetId: gr.u_asset_id.toString(),
+                hostId: gr.u_host_id.toString(),
+                ciSysId: gr.u_ci.toString(),
+                scope: gr.u_scope.toString(),
+                active: gr.u_active.toString() === 'true'
+            };
+        }
+        
+        return snapshot;
     },
     
     /**
-     * Update existing RITM with new host information
-     * @param {GlideRecord} ritmGr - Existing RITM record
-     * @param {Object} vulnGroup - Current vulnerability data
-     * @param {Object} vulnDetails - KB details for the vulnerability
+     * Compare current hosts with a snapshot
+     * @param {Object} snapshot - From _loadHostSnapshot
+     * @param {Array} hosts - Current hosts (after _processHosts)
+     * @returns {Object} { added: [], removed: [], hadSnapshot } - entries shaped like snapshot entries
      */
-    _updateRITM: function(ritmGr, vulnGroup, vulnDetails) {
-        this.log.info('Updating RITM: ' + ritmGr.number + ' for QID: ' + vulnGroup.qid);
-        
-        // Process current hosts
-        var currentHostProcessing = this._processHosts(vulnGroup.hosts);
-        
-        // Get previous host list from RITM
-        var prevHostSysIds = ritmGr.variables.impacted_system ? ritmGr.variables.impacted_system.toString() : '';
-        var prevHostList = prevHostSysIds ? prevHostSysIds.split(',').filter(function(s) { return s; }) : [];
-        
-        // Calculate changes
-        var addedHosts = [];
-        var removedHosts = [];
+    _diffHostSnapshot: function(snapshot, hosts) {
+        var delta = {
+            added: [],
+            removed: [],
+            hadSnapshot: Object.keys(snapshot).length > 0
+        };
+        var currentKeys = {};
         
-        // Find added hosts (in current but not in previous)
-        for (var i = 0; i < currentHostProcessing.matchedSysIds.length; i++) {
-            if (prevHostList.indexOf(currentHostProcessing.matchedSysIds[i]) === -1) {
-                addedHosts.push(currentHostProcessing.matchedSysIds[i]);
+        for (var i = 0; i < hosts.length; i++) {
+            var key = this._getHostKey(hosts[i]);
+            if (currentKeys[key]) continue;
+            currentKeys[key] = true;
+            
+            if (!snapshot[key] || !snapshot[key].active) {
+                delta.added.push(this._toSnapshotEntry(hosts[i]));
             }
         }
         
-        // Find removed hosts (in previous but not in current)
-        for (var j = 0; j < prevHostList.length; j++) {
-            if (prevHostList[j] && currentHostProcessing.matchedSysIds.indexOf(prevHostList[j]) === -1) {
-                removedHosts.push(prevHostList[j]);
+        for (var snapKey in snapshot) {
+            if (snapshot[snapKey].active && !currentKeys[snapKey]) {
+                delta.removed.push(snapshot[snapKey]);
             }
         }
         
-        // Build work note
-        var workNote = '=== QUALYS INTEGRATION UPDATE ===\n';
-        workNote += 'Date: ' + new GlideDateTime().getDisplayValue() + '\n\n';
+        return delta;
+    },
+    
+    /**
+     * Write the current hosts to a RITM's snapshot
+     * New hosts are inserted, returning hosts reactivated and missing hosts marked remediated.
+     * @param {string} ritmSysId - RITM sys_id
+     * @param {Array} hosts - Current hosts (after _processHosts)
+     * @param {Object} snapshot - Snapshot loaded before the update
+     */
+    _saveHostSnapshot: function(ritmSysId, hosts, snapshot) {
+        var now = new GlideDateTime();
+        var seen = {};
+        var gr;
         
-        if (addedHosts.length > 0) {
-            workNote += 'NEW HOSTS AFFECTED (' + addedHosts.length + '):\n';
-            workNote += this._sysIdsToHostnames(addedHosts) + '\n\n';
+        for (var i = 0; i < hosts.length; i++) {
+            var entry = this._toSnapshotEntry(hosts[i]);
+            if (seen[entry.key]) continue;
+            seen[entry.key] = true;
+            
+            gr = new GlideRecord(this.RITM_HOST_TABLE);
+            if (snapshot[entry.key]) {
+                if (!gr.get(snapshot[entry.key].sysId)) continue;
+            } else {
+                gr.initialize();
+                gr.u_ritm = ritmSysId;
+                gr.u_host_key = entry.key;
+                gr.u_first_seen = now;
+            }
+            
+            gr.u_hostname = entry.name;
+            gr.u_ip = entry.ip;
+            gr.u_dns = entry.dns;
+            gr.u_asset_id = entry.assetId;
+            gr.u_host_id = entry.hostId;
+            gr.u_ci = entry.ciSysId;
+            gr.u_scope = entry.scope;
+            gr.u_active = true;
+            gr.u_last_seen = now;
+            gr.u_remediated_on = '';
+            
+            if (snapshot[entry.key]) {
+                gr.update();
+            } else {
+                gr.insert();
+            }
         }
         
-        if (removedHosts.length > 0) {
-            workNote += 'REMEDIATED HOSTS (' + removedHosts.length + '):\n';
-            workNote += this._sysIdsToHostnames(removedHosts) + '\n\n';
+        for (var key in snapshot) {
+            if (seen[key] || !snapshot[key].active) continue;
+            
+            gr = new GlideRecord(this.RITM_HOST_TABLE);
+            if (gr.get(snapshot[key].sysId)) {
+                gr.u_active = false;
+                gr.u_remediated_on = now;
+                gr.update();
+            }
+        }
+    },
+    
+    /**
+     * Delete the host snapshot and tracking record for a RITM (used when the RITM itself is deleted)
+     * @param {string} ritmSysId - RITM sys_id
+     */
+    _deleteRITMTracking: function(ritmSysId) {
+        var tables = [this.RITM_HOST_TABLE, this.RITM_STATE_TABLE];
+        for (var i = 0; i < tables.length; i++) {
+            var gr = new GlideRecord(tables[i]);
+            gr.addQuery('u_ritm', ritmSysId);
+            gr.deleteMultiple();
         }
+    },
+    
+    /**
+     * Convert a host to the snapshot entry shape
+     */
+    _toSnapshotEntry: function(host) {
+        return {
+            key: this._getHostKey(host),
+            name: host.hostname || host.dns || host.netbios || '',
+            ip: host.ip || '',
+            dns: host.dns || '',
+            assetId: host.assetId || '',
+            hostId: host.hostId || '',
+            ciSysId: host.ciMatch && host.ciMatch.sysId ? host.ciMatch.sysId : '',
+            scope: host.scope || '',
+            active: true
+        };
+    },
+    
+    /**
+     * Rebuild host objects for the active hosts in a snapshot
+     * @param {Object} snapshot - From _loadHostSnapshot
+     * @returns {Array} Host objects shaped like _addDetection output
+     */
+    _hostsFromSnapshot: function(snapshot) {
+        var hosts = [];
         
-        if (addedHosts.length === 0 && removedHosts.length === 0) {
-            workNote += 'No changes to CMDB-linked hosts.\n\n';
+        for (var key in snapshot) {
+            var entry = snapshot[key];
+            if (!entry.active) continue;
+            
+            hosts.push({
+                hostId: entry.hostId,
+                ip: entry.ip,
+                dns: entry.dns,
+                hostname: entry.name,
+                assetId: entry.assetId,
+                scope: entry.scope
+            });
         }
         
-        workNote += 'Current Status:\n';
-        workNote += '- Total hosts affected: ' + vulnGroup.hosts.length + '\n';
-        workNote += '- CMDB-linked: ' + currentHostProcessing.matchedSysIds.length + '\n';
-        workNote += '- Not in CMDB: ' + currentHostProcessing.unmatchedHosts.length + '\n';
+        return hosts;
+    },
+    
+    /**
+     * Active snapshot hosts that were pulled by a scope outside this run
+     * Hosts recorded before scopes existed count as outside, so a scoped run never drops them.
+     * @param {string} ritmSysId - RITM sys_id
+     * @returns {Array} Host objects shaped like _addDetection output
+     */
+    _getOutOfScopeHosts: function(ritmSysId) {
+        var runScopes = this.runScopes;
+        return this._hostsFromSnapshot(this._loadHostSnapshot(ritmSysId)).filter(function(host) {
+            return runScopes.indexOf(host.scope) === -1;
+        });
+    },
+    
+    /**
+     * Format snapshot entries for work notes
+     * @param {Array} entries - Snapshot entries
+     * @returns {string} One line per host
+     */
+    _formatSnapshotHosts: function(entries) {
+        var lines = [];
         
-        // Update RITM
-        ritmGr.work_notes = workNote;
+        for (var i = 0; i < entries.length; i++) {
+            lines.push('  - ' + (entries[i].name || 'Unknown') + ' (' + entries[i].ip + ')' +
+                       (entries[i].ciSysId ? '' : ' - NOT IN CMDB'));
+        }
         
-        // Update impacted_system variable
-        if (currentHostProcessing.matchedSysIds.length > 0) {
-            ritmGr.variables.impacted_system = currentHostProcessing.matchedSysIds.join(',');
+        return lines.join('\n');
+    },
+    
+    // ============================================================
+    // DUPLICATE RITM METHODS
+    // ============================================================
+    
+    /**
+     * Keep only the oldest open RITM for a QID (and team) - the others are merged into it
+     * Runs over different scopes, or a run overlapping a stale-lock takeover, can each
+     * create a RITM for the same QID before seeing the other's.
+     * @param {string} qid - Qualys QID
+     * @param {string} team - Owning team when SPLIT_RITM_BY_TEAM is set (optional)
+     * @returns {number} Duplicates merged
+     */
+    _mergeDuplicateRITMs: function(qid, team) {
+        var ritms = this._findOpenRITMs(qid, team);
+        if (ritms.length < 2) {
+            return 0;
         }
         
-        // Update justification with current host list
-        var justification = this._buildJustification(vulnGroup.qid, vulnGroup, vulnDetails, currentHostProcessing);
-        ritmGr.variables.justification_for_exception = justification;
+        var keep = ritms[0];
+        this.log.warn('QID ' + qid + (this.SPLIT_RITM_BY_TEAM ? ' for team ' + this._getRoute(team) : '') + ' is on ' +
+                      ritms.length + ' open RITMs - merging them into the oldest, ' + keep.number);
         
-        ritmGr.update();
+        for (var i = 1; i < ritms.length; i++) {
+            this._mergeDuplicateRITM(keep, ritms[i], qid);
+            this._unindexRITM(qid, ritms[i].sys_id.toString());
+        }
+        this._indexRITM(qid, keep.sys_id.toString(), this._getRITMTeam(keep));
         
-        this.log.info('Updated RITM: ' + ritmGr.number + ' | Added: ' + addedHosts.length + ' | Removed: ' + removedHosts.length);
+        return ritms.length - 1;
     },
     
     /**
-     * Flag RITM for closure when all hosts are remediated
-     * @param {GlideRecord} ritmGr - RITM record
-     * @param {string} qid - QID
+     * Open RITMs of the catalog item for a QID (and route), oldest first
+     * @param {string} qid - Qualys QID
+     * @param {string} team - Owning team when SPLIT_RITM_BY_TEAM is set (optional)
+     * @returns {Array} RITM records
      */
-    _flagRITMForClosure: function(ritmGr, qid) {
-        this.log.info('Flagging RITM for closure: ' + ritmGr.number + ' (QID: ' + qid + ')');
+    _findOpenRITMs: function(qid, team) {
+        var route = this._getRoute(team);
+        var ritms = [];
+        var seen = {};
         
-        var workNote = '╔══════════════════════════════════════════════════════════════╗\n';
-        workNote += '║         ALL HOSTS REMEDIATED - REVIEW FOR CLOSURE            ║\n';
-        workNote += '╚══════════════════════════════════════════════════════════════╝\n\n';
-        workNote += 'Date: ' + new GlideDateTime().getDisplayValue() + '\n\n';
-        workNote += 'The Qualys integration has detected that ALL hosts previously\n';
-        workNote += 'affected by this vulnerability (QID: ' + qid + ') have been remediated.\n\n';
-        workNote += 'Total hosts remediated: ' + this._getPreviousHostCount(ritmGr) + '\n\n';
-        workNote += 'ACTION REQUIRED:\n';
-        workNote += 'Please review this exception request and close if appropriate.\n';
+        var gr = new GlideRecord('sc_item_option_mtom');
+        gr.addQuery('request_item.cat_item', this.CATALOG_ITEM_SYS_ID);
+        gr.addQuery('request_item.state', 'NOT IN', this.CLOSED_RITM_STATES);
+        gr.addQuery('sc_item_option.item_option_new.name', 'identified_qid_s');
+        gr.addQuery('sc_item_option.value', qid);
+        gr.query();
         
-        ritmGr.work_notes = workNote;
+        while (gr.next()) {
+            var ritmSysId = gr.request_item.toString();
+            if (seen[ritmSysId]) continue;
+            seen[ritmSysId] = true;
+            
+            var ritmGr = new GlideRecord('sc_req_item');
+            if (ritmGr.get(ritmSysId) && this._getRoute(this._getRITMTeam(ritmGr)) === route) {
+                ritms.push(ritmGr);
+            }
+        }
         
-        // Clear impacted systems since all are remediated
-        ritmGr.variables.impacted_system = '';
+        // Created on has second precision - the number breaks ties, so every run keeps the same RITM
+        ritms.sort(function(a, b) {
+            var aKey = a.sys_created_on.toString() + ' ' + a.number.toString();
+            var bKey = b.sys_created_on.toString() + ' ' + b.number.toString();
+            return aKey < bKey ? -1 : (aKey > bKey ? 1 : 0);
+        });
         
-        ritmGr.update();
+        return ritms;
     },
     
     /**
-     * Get previous host count from RITM
+     * Move the hosts and work notes of a duplicate RITM into the RITM kept, then close the duplicate
+     * @param {GlideRecord} keep - Oldest open RITM for the QID
+     * @param {GlideRecord} duplicate - Other open RITM for the same QID
+     * @param {string} qid - Qualys QID
      */
-    _getPreviousHostCount: function(ritmGr) {
-        var prevHostSysIds = ritmGr.variables.impacted_system ? ritmGr.variables.impacted_system.toString() : '';
-        if (!prevHostSysIds) return 0;
-        return prevHostSysIds.split(',').filter(function(s) { return s; }).length;
+    _mergeDuplicateRITM: function(keep, duplicate, qid) {
+        var keepSysId = keep.sys_id.toString();
+        var duplicateSysId = duplicate.sys_id.toString();
+        
+        // Snapshot hosts the kept RITM does not track yet move over with their history
+        var keepSnapshot = this._loadHostSnapshot(keepSysId);
+        var moved = [];
+        var host = new GlideRecord(this.RITM_HOST_TABLE);
+        host.addQuery('u_ritm', duplicateSysId);
+        host.query();
+        while (host.next()) {
+            if (keepSnapshot[host.u_host_key.toString()]) continue;
+            
+            host.u_ritm = keepSysId;
+            host.update();
+            if (host.u_active.toString() === 'true') {
+                moved.push({ name: host.u_hostname.toString(), ip: host.u_ip.toString(), ciSysId: host.u_ci.toString() });
+            }
+        }
+        
+        var keepCIs = keep.variables.impacted_system ? keep.variables.impacted_system.toString().split(',') : [];
+        var duplicateCIs = duplicate.variables.impacted_system ? duplicate.variables.impacted_system.toString().split(',') : [];
+        keep.variables.impacted_system = this._mergeSysIds(keepCIs, duplicateCIs).filter(function(sysId) {
+            return sysId;
+        }).join(',');
+        
+        var notes = [];
+        var journal = new GlideRecord('sys_journal_field');
+        journal.addQuery('name', 'sc_req_item');
+        journal.addQuery('element', 'work_notes');
+        journal.addQuery('element_id', duplicateSysId);
+        journal.orderBy('sys_created_on');
+        journal.query();
+        while (journal.next()) {
+            notes.push('[' + journal.sys_created_on + ' ' + journal.sys_created_by + ']\n' + journal.value);
+        }
+        
+        var workNote = '=== QUALYS INTEGRATION: DUPLICATE MERGED ===\n\n';
+        workNote += duplicate.number + ' was also open for QID ' + qid + ' and has been closed as a duplicate of this RITM.\n';
+        workNote += '\nHosts moved from ' + duplicate.number + ': ' + moved.length + '\n';
+        if (moved.length > 0) {
+            workNote += this._formatSnapshotHosts(moved) + '\n';
+        }
+        if (notes.length > 0) {
+            workNote += '\nWork notes of ' + duplicate.number + ':\n\n' + notes.join('\n\n') + '\n';
+        }
+        keep.work_notes = workNote;
+        keep.update();
+        
+        var closeNote = 'Duplicate of ' + keep.number + ' for QID ' + qid + ' - hosts and work notes were merged there.';
+        duplicate.work_notes = '=== QUALYS INTEGRATION: CLOSED AS DUPLICATE ===\n\n' + closeNote;
+        duplicate.close_notes = closeNote;
+        duplicate.state = this.DUPLICATE_RITM_STATE;
+        duplicate.update();
+        
+        // Rows left are hosts the kept RITM already tracks
+        this._deleteRITMTracking(duplicateSysId);
+        this.duplicatesMerged++;
+        
+        this.log.info('Merged ' + duplicate.number + ' into ' + keep.number + ' (' + moved.length + ' hosts moved, ' +
+                      notes.length + ' work notes copied)');
     },
     
     // ============================================================
-    // HOST PROCESSING METHODS
+    // UNMATCHED HOST QUEUE METHODS
     // ============================================================
     
     /**
-     * Process hosts - lookup in CMDB and separate matched from unmatched
-     * @param {Array} hosts - Array of host objects
-     * @returns {Object} { matchedSysIds: [], matchedHosts: [], unmatchedHosts: [] }
+     * Collect an unmatched host for the review queue (written by _flushUnmatchedHosts)
+     * @param {Object} host - Host that could not be reconciled
+     * @param {string} qid - QID the host is affected by
      */
-    _processHosts: function(hosts) {
-        var result = {
-            matchedSysIds: [],
-            matchedHosts: [],
-            unmatchedHosts: []
-        };
+    _queueUnmatchedHost: function(host, qid) {
+        var hostKey = this._getHostKey(host);
+        var entry = this.unmatchedHostQueue[hostKey];
         
-        for (var i = 0; i < hosts.length; i++) {
-            var host = hosts[i];
-            var sysId = this._findCISysId(host);
-            
-            if (sysId) {
-                result.matchedSysIds.push(sysId);
-                result.matchedHosts.push(host);
-            } else {
-                result.unmatchedHosts.push(host);
-            }
+        if (!entry) {
+            entry = this.unmatchedHostQueue[hostKey] = { host: host, qids: [] };
+        }
+        if (qid && entry.qids.indexOf(qid) === -1) {
+            entry.qids.push(qid);
         }
-        
-        return result;
     },
     
     /**
-     * Find CMDB CI sys_id for a host
-     * @param {Object} host - Host object with ip, dns, hostname, etc.
-     * @returns {string|null} sys_id or null
+     * Upsert queued unmatched hosts into the review table, one record per host key
+     * @returns {number} Number of hosts written
      */
-    _findCISysId: function(host) {
-        var gr = new GlideRecord('cmdb_ci');
+    _flushUnmatchedHosts: function() {
+        var keys = Object.keys(this.unmatchedHostQueue);
         
-        // Try to match by IP address first (most reliable)
-        if (host.ip) {
-            gr.initialize();
-            gr.addQuery('ip_address', host.ip);
-            gr.setLimit(1);
-            gr.query();
-            if (gr.next()) {
-                return gr.sys_id.toString();
-            }
+        if (this.PREVIEW_MODE) {
+            this.log.info('[PREVIEW] Unmatched host queue: ' + keys.length + ' hosts would be recorded');
+            this.previewReport.unmatchedHosts = keys.length;
+            return keys.length;
         }
         
-        // Try to match by exact hostname
-        var hostname = host.hostname || host.dns || '';
-        if (hostname) {
-            var shortName = hostname.split('.')[0].toUpperCase();
+        var now = new GlideDateTime();
+        var created = 0;
+        
+        for (var i = 0; i < keys.length; i++) {
+            var entry = this.unmatchedHostQueue[keys[i]];
+            var host = entry.host;
             
-            gr.initialize();
-            gr.addQuery('name', shortName);
-            gr.setLimit(1);
-            gr.query();
-            if (gr.next()) {
-                return gr.sys_id.toString();
+            var gr = new GlideRecord(this.UNMATCHED_HOST_TABLE);
+            if (!gr.get('u_host_key', keys[i])) {
+                gr.initialize();
+                gr.u_host_key = keys[i];
+                gr.u_state = 'new';
+                gr.u_first_seen = now;
             }
             
-            // Try case-insensitive
-            gr.initialize();
-            gr.addQuery('name', 'STARTSWITH', shortName);
-            gr.setLimit(1);
+            // Merge QIDs seen in earlier runs with this run's
+            var qids = gr.u_qids ? gr.u_qids.toString().split(',').filter(function(q) { return q; }) : [];
+            for (var j = 0; j < entry.qids.length; j++) {
+                if (qids.indexOf(entry.qids[j]) === -1) {
+                    qids.push(entry.qids[j]);
+                }
+            }
+            
+            gr.u_ip = host.ip || '';
+            gr.u_dns = host.dns || '';
+            gr.u_netbios = host.netbios || '';
+            gr.u_asset_id = host.assetId || '';
+            gr.u_host_id = host.hostId || '';
+            gr.u_os = host.os || '';
+            gr.u_match_status = host.ciMatch ? host.ciMatch.status : 'unmatched';
+            gr.u_match_detail = host.ciMatch ? host.ciMatch.detail : '';
+            gr.u_qids = qids.join(',');
+            gr.u_qid_count = qids.length;
+            gr.u_last_seen = now;
+            
+            if (gr.isNewRecord()) {
+                gr.insert();
+                created++;
+            } else {
+                gr.update();
+            }
+        }
+        
+        this.log.info('Unmatched host queue: ' + keys.length + ' hosts recorded (' + created + ' new)');
+        return keys.length;
+    },
+    
+    /**
+     * Look up an analyst's CI resolution for a host key
+     * Resolutions are loaded once per run.
+     * @param {string} hostKey - Host key from _getHostKey
+     * @returns {string|null} Resolved CI sys_id
+     */
+    _getHostResolution: function(hostKey) {
+        if (!this.hostResolutions) {
+            this.hostResolutions = {};
+            
+            var gr = new GlideRecord(this.UNMATCHED_HOST_TABLE);
+            gr.addQuery('u_state', 'resolved');
+            gr.addNotNullQuery('u_resolved_ci');
             gr.query();
-            if (gr.next()) {
-                return gr.sys_id.toString();
+            
+            while (gr.next()) {
+                this.hostResolutions[gr.u_host_key.toString()] = gr.u_resolved_ci.toString();
             }
+            
+            this.log.debug('Loaded ' + Object.keys(this.hostResolutions).length + ' unmatched host resolutions');
         }
         
-        return null;
+        return this.hostResolutions[hostKey] || null;
     },
     
     /**
-     * Convert sys_ids to hostnames for display
-     * @param {Array} sysIds - Array of CI sys_ids
-     * @returns {string} Formatted hostname list
+     * Resolve an unmatched host queue entry to an existing CI
+     * Called from a UI action on the queue record.
+     * @param {string} queueSysId - Unmatched host record sys_id
+     * @param {string} ciSysId - CI to link the host to
+     * @returns {boolean} True if resolved
      */
-    _sysIdsToHostnames: function(sysIds) {
-        var names = [];
+    resolveUnmatchedHost: function(queueSysId, ciSysId) {
+        var gr = new GlideRecord(this.UNMATCHED_HOST_TABLE);
+        var ci = new GlideRecord('cmdb_ci');
+        if (!gr.get(queueSysId) || !ci.get(ciSysId)) {
+            this.log.error('resolveUnmatchedHost: queue entry or CI not found (' + queueSysId + ', ' + ciSysId + ')');
+            return false;
+        }
         
-        for (var i = 0; i < sysIds.length; i++) {
-            var gr = new GlideRecord('cmdb_ci');
-            if (gr.get(sysIds[i])) {
-                names.push('  - ' + gr.name + ' (' + gr.ip_address + ')');
-            } else {
-                names.push('  - [Unknown CI] (' + sysIds[i] + ')');
-            }
+        gr.u_resolved_ci = ciSysId;
+        gr.u_state = 'resolved';
+        gr.update();
+        
+        this.log.info('Unmatched host ' + gr.u_host_key + ' resolved to CI ' + ci.name);
+        return true;
+    },
+    
+    /**
+     * Create a CI from an unmatched host queue entry and resolve the entry to it
+     * The Qualys asset ID is written to the correlation field so later runs
+     * match the CI directly.
+     * @param {string} queueSysId - Unmatched host record sys_id
+     * @param {string} ciClass - CI table to create in (default UNMATCHED_HOST_CI_CLASS)
+     * @returns {string|null} New CI sys_id
+     */
+    createCIFromUnmatchedHost: function(queueSysId, ciClass) {
+        var gr = new GlideRecord(this.UNMATCHED_HOST_TABLE);
+        if (!gr.get(queueSysId)) {
+            this.log.error('createCIFromUnmatchedHost: queue entry not found (' + queueSysId + ')');
+            return null;
+        }
+        
+        var dns = gr.u_dns.toString();
+        var name = (dns || gr.u_netbios.toString() || gr.u_ip.toString()).split('.')[0].toUpperCase();
+        if (/^\d+$/.test(name)) {
+            name = gr.u_ip.toString();    // No host name - name the CI after its IP
+        }
+        
+        var ci = new GlideRecord(ciClass || this.UNMATCHED_HOST_CI_CLASS);
+        ci.initialize();
+        ci.name = name;
+        ci.ip_address = gr.u_ip.toString();
+        if (dns.indexOf('.') !== -1) {
+            ci.fqdn = dns.toLowerCase();
+        }
+        ci.setValue(this.CI_CORRELATION_FIELD, gr.u_asset_id.toString() || gr.u_host_id.toString());
+        ci.operational_status = 1;
+        ci.short_description = 'Created from Qualys unmatched host queue (' + gr.u_host_key + ')';
+        var ciSysId = ci.insert();
+        
+        if (!ciSysId) {
+            this.log.error('createCIFromUnmatchedHost: CI insert failed for ' + gr.u_host_key);
+            return null;
         }
         
-        return names.join('\n');
+        gr.u_resolved_ci = ciSysId;
+        gr.u_state = 'resolved';
+        gr.update();
+        
+        this.log.info('Created CI ' + name + ' from unmatched host ' + gr.u_host_key);
+        return ciSysId;
     },
     
     // ============================================================
     // CONTENT BUILDING METHODS
     // ============================================================
     
+    /**
+     * Format one line per host showing how it was reconciled to CMDB
+     * @param {Array} hosts - Hosts processed by _processHosts
+     * @param {boolean} reviewOnly - Only include ambiguous and low-confidence matches
+     * @returns {string} Formatted lines ('' if none)
+     */
+    _formatMatchLines: function(hosts, reviewOnly) {
+        var lines = '';
+        
+        for (var i = 0; i < hosts.length; i++) {
+            var match = hosts[i].ciMatch;
+            if (!match) continue;
+            
+            if (reviewOnly && match.status !== 'ambiguous' &&
+                    !(match.status === 'matched' && match.confidence < this.CI_MATCH_STOP_CONFIDENCE)) {
+                continue;
+            }
+            
+            lines += '  - ' + (hosts[i].hostname || hosts[i].dns || 'Unknown') + ' (' + hosts[i].ip + '): ' +
+                     (match.status === 'unmatched' ? 'not in CMDB' : this._describeMatch(hosts[i])) + '\n';
+        }
+        
+        return lines;
+    },
+    
     /**
      * Build justification text for RITM - includes ALL hosts
      * @param {string} qid - Qualys QID
@@ -988,11 +5577,24 @@ QualysExceptionIntegration.prototype = {
         
         if (vulnDetails) {
             text += 'Title: ' + (vulnDetails.title || 'N/A') + '\n';
-            text += 'CVSS v3: ' + (vulnDetails.cvss3Base || 'N/A') + '\n';
+            text += 'CVSS v3: ' + (vulnDetails.cvss3Base || 'N/A') +
+                    (vulnDetails.cvss3Temporal ? ' (temporal ' + vulnDetails.cvss3Temporal + ')' : '') +
+                    (vulnDetails.cvss3Vector ? ' ' + vulnDetails.cvss3Vector : '') + '\n';
             text += 'CVSS v2: ' + (vulnDetails.cvssBase || 'N/A') + '\n';
             
             if (vulnDetails.cveList && vulnDetails.cveList.length > 0) {
-                text += 'CVEs: ' + vulnDetails.cveList.join(', ') + '\n';
+                text += 'CVEs (' + vulnDetails.cveList.length + '): ' + vulnDetails.cveList.join(', ') + '\n';
+            }
+            
+            if (vulnDetails.threatIntel) {
+                text += 'Threat Intelligence: ' + (vulnDetails.threatIntel.length > 0 ? vulnDetails.threatIntel.join(', ') : 'None reported') + '\n';
+                text += 'CISA Known Exploited: ' + (vulnDetails.cisaKev ? 'YES' : 'No') + '\n';
+            }
+            if (vulnDetails.patchable !== undefined) {
+                text += 'Patch Available: ' + (vulnDetails.patchable ? 'Yes' : 'No') + '\n';
+            }
+            if (vulnDetails.vendorRefs && vulnDetails.vendorRefs.length > 0) {
+                text += 'Vendor References: ' + vulnDetails.vendorRefs.join(', ') + '\n';
             }
         }
         
@@ -1013,7 +5615,7 @@ QualysExceptionIntegration.prototype = {
             text += '─────────────────────────────────────────\n';
             for (var i = 0; i < hostProcessing.matchedHosts.length; i++) {
                 var h = hostProcessing.matchedHosts[i];
-                text += '  • ' + (h.hostname || h.dns || 'Unknown') + ' (' + h.ip + ')\n';
+                text += '  • ' + (h.hostname || h.dns || 'Unknown') + ' (' + h.ip + ') [' + this._describeMatch(h) + ']\n';
             }
             text += '\n';
         }
@@ -1024,13 +5626,20 @@ QualysExceptionIntegration.prototype = {
             text += '─────────────────────────────────────────\n';
             for (var j = 0; j < hostProcessing.unmatchedHosts.length; j++) {
                 var uh = hostProcessing.unmatchedHosts[j];
-                text += '  • ' + (uh.hostname || uh.dns || 'Unknown') + ' (' + uh.ip + ') - NOT IN CMDB\n';
+                text += '  • ' + (uh.hostname || uh.dns || 'Unknown') + ' (' + uh.ip + ') - ' +
+                        (uh.ciMatch && uh.ciMatch.status === 'ambiguous' ? 'AMBIGUOUS CMDB MATCH (' + uh.ciMatch.detail + ')' : 'NOT IN CMDB') + '\n';
             }
             text += '\nNote: These hosts should be added to CMDB for proper tracking.\n';
             text += '\n';
         }
         
-        // Solution if available
+        // Consequence and solution if available
+        if (vulnDetails && vulnDetails.consequence) {
+            text += 'CONSEQUENCE\n';
+            text += '───────────\n';
+            text += vulnDetails.consequence.substring(0, 1000) + '\n\n';
+        }
+        
         if (vulnDetails && vulnDetails.solution) {
             text += 'RECOMMENDED SOLUTION\n';
             text += '────────────────────\n';
@@ -1072,6 +5681,184 @@ QualysExceptionIntegration.prototype = {
         return '';
     },
     
+    /**
+     * Find the next tag at or after pos, stepping over CDATA sections, comments and declarations
+     * @param {string} xml - XML text
+     * @param {number} pos - Offset to search from
+     * @returns {Object|null} { name, type: 'open'|'close'|'self', start, end } - end is just past '>'
+     */
+    _nextTag: function(xml, pos) {
+        while (true) {
+            var lt = xml.indexOf('<', pos);
+            if (lt === -1) return null;
+            
+            if (xml.substr(lt, 9) === '<![CDATA[') {
+                var cdataEnd = xml.indexOf(']]>', lt + 9);
+                if (cdataEnd === -1) return null;
+                pos = cdataEnd + 3;
+                continue;
+            }
+            if (xml.substr(lt, 4) === '<!--') {
+                var commentEnd = xml.indexOf('-->', lt + 4);
+                if (commentEnd === -1) return null;
+                pos = commentEnd + 3;
+                continue;
+            }
+            
+            // Find the closing '>' outside quoted attribute values
+            var gt = lt + 1;
+            var quote = '';
+            for (; gt < xml.length; gt++) {
+                var ch = xml.charAt(gt);
+                if (quote) {
+                    if (ch === quote) quote = '';
+                } else if (ch === '"' || ch === "'") {
+                    quote = ch;
+                } else if (ch === '>') {
+                    break;
+                }
+            }
+            if (gt >= xml.length) return null;
+            
+            var first = xml.charAt(lt + 1);
+            if (first === '?' || first === '!') {
+                pos = gt + 1;
+                continue;
+            }
+            
+            var type = 'open';
+            var nameStart = lt + 1;
+            if (first === '/') {
+                type = 'close';
+                nameStart++;
+            } else if (xml.charAt(gt - 1) === '/') {
+                type = 'self';
+            }
+            
+            var nameMatch = /^[A-Za-z_][\w.:\-]*/.exec(xml.substring(nameStart, Math.min(gt, nameStart + 64)));
+            if (!nameMatch) {
+                // A stray '<' in text content - keep scanning
+                pos = lt + 1;
+                continue;
+            }
+            
+            return { name: nameMatch[0], type: type, start: lt, end: gt + 1 };
+        }
+    },
+    
+    /**
+     * Read the child elements of an element whose content starts at pos
+     * Stops at the closing tag of the enclosing element, or at the end of the text.
+     * @param {string} xml - XML text
+     * @param {number} pos - Offset just past the enclosing element's open tag (0 for a fragment)
+     * @returns {Object} { children: [{ name, inner }], closeTag, complete } - complete is false
+     *   if the text ends inside a child or a child's closing tag does not match
+     */
+    _readChildren: function(xml, pos) {
+        var result = { children: [], closeTag: null, complete: true };
+        var depth = 0;
+        var child = null;
+        var tag;
+        
+        while ((tag = this._nextTag(xml, pos)) !== null) {
+            pos = tag.end;
+            
+            if (tag.type === 'self') {
+                if (depth === 0) {
+                    result.children.push({ name: tag.name, inner: '' });
+                }
+            } else if (tag.type === 'open') {
+                if (depth === 0) {
+                    child = { name: tag.name, innerStart: tag.end };
+                }
+                depth++;
+            } else if (depth === 0) {
+                result.closeTag = tag;
+                return result;
+            } else {
+                depth--;
+                if (depth === 0) {
+                    if (tag.name !== child.name) {
+                        result.complete = false;
+                        return result;
+                    }
+                    result.children.push({ name: child.name, inner: xml.substring(child.innerStart, tag.start) });
+                }
+            }
+        }
+        
+        result.complete = depth === 0;
+        return result;
+    },
+    
+    /**
+     * Find the first child element with a given name
+     */
+    _findChild: function(children, name) {
+        for (var i = 0; i < children.length; i++) {
+            if (children[i].name === name) {
+                return children[i];
+            }
+        }
+        return null;
+    },
+    
+    /**
+     * Text of the first child element with a given name ('' if absent)
+     */
+    _childText: function(children, name) {
+        var child = this._findChild(children, name);
+        return child ? this._xmlText(child.inner) : '';
+    },
+    
+    /**
+     * Text content of an element - CDATA sections unwrapped (split sections joined), entities decoded
+     * @param {string} inner - Raw element content
+     * @returns {string} Trimmed text
+     */
+    _xmlText: function(inner) {
+        var text = '';
+        var pos = 0;
+        
+        while (true) {
+            var start = inner.indexOf('<![CDATA[', pos);
+            if (start === -1) {
+                text += this._decodeEntities(inner.substring(pos));
+                break;
+            }
+            
+            text += this._decodeEntities(inner.substring(pos, start));
+            var end = inner.indexOf(']]>', start + 9);
+            if (end === -1) {
+                text += inner.substring(start + 9);
+                break;
+            }
+            
+            text += inner.substring(start + 9, end);
+            pos = end + 3;
+        }
+        
+        return text.trim();
+    },
+    
+    /**
+     * Decode the predefined XML entities and numeric character references
+     */
+    _decodeEntities: function(text) {
+        if (text.indexOf('&') === -1) return text;
+        
+        return text.replace(/&(lt|gt|quot|apos|amp|#\d+|#x[0-9a-fA-F]+);/g, function(all, entity) {
+            switch (entity) {
+                case 'lt': return '<';
+                case 'gt': return '>';
+                case 'quot': return '"';
+                case 'apos': return "'";
+                case 'amp': return '&';
+            }
+            return String.fromCharCode(entity.charAt(1) === 'x' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10));
+        });
+    },
+    
     /**
      * Clean CDATA wrapper from string
      * @param {string} value - String possibly containing CDATA
@@ -0,0 +1,257 @@
+/**
+ * QualysIntegrationConfig
+ *
+ * Script Include loading the deployment settings of the Qualys exception integration
+ * from system properties, so nothing has to be edited in the Script Includes.
+ * Shared by QualysExceptionIntegration and the RITM cleanup script.
+ *
+ * Each setting is read from PROPERTY_PREFIX + its name in lower case, e.g.
+ * qualys.integration.catalog_item_sys_id, and can be overridden for a single run
+ * with run({ MAX_QIDS_PER_RUN: 50 }). Values are type checked when loaded;
+ * validate() also refuses YOUR_... placeholders and sys_ids that match no record.
+ *
+ * Usage:
+ *   var config = new QualysIntegrationConfig(this.log).load();
+ *   config.override({ TEST_MODE: true });
+ *   var errors = config.validate();             // [] when usable
+ *   config.applyTo(this);                        // this.CATALOG_ITEM_SYS_ID, this.TEST_MODE, ...
+ *   config.logEffective();
+ */
+
+var QualysIntegrationConfig = Class.create();
+
+QualysIntegrationConfig.PROPERTY_PREFIX = 'qualys.integration.';
+
+// Settings, their type and the default used when the property is missing or empty
+//   sys_id  - record sys_id in table; required settings must be set
+//   boolean - true / false
+//   integer - whole number, at least min
+//   choice  - one of values
+QualysIntegrationConfig.SETTINGS = {
+    // Exception Management catalog item the RITMs are ordered from
+    CATALOG_ITEM_SYS_ID: { type: 'sys_id', table: 'sc_cat_item', required: true, value: '' },
+    
+    // Remediation team used when no policy rule or owning CI group applies
+    TEAM_SYS_ID: { type: 'sys_id', table: 'sys_user_group', required: true, value: '' },
+    
+    // Test mode - limits data for faster testing
+    TEST_MODE: { type: 'boolean', value: false },
+    
+    // Hosts per page when pulling from Qualys (0 = Qualys default of 1000)
+    // Truncated output is followed page by page - this is not a hard cap
+    TRUNCATION_LIMIT: { type: 'integer', min: 0, value: 0 },
+    
+    // Maximum QIDs to process per run (0 = no limit)
+    // Later runs resume after the last processed QID until the cycle completes
+    MAX_QIDS_PER_RUN: { type: 'integer', min: 0, value: 0 },
+    
+    // Skip Qualys KB calls - details already in the KB cache table are still used, new QIDs get none
+    SKIP_KB_LOOKUPS: { type: 'boolean', value: false },
+    
+    // Batch size for KB lookups (max QIDs per API call)
+    KB_BATCH_SIZE: { type: 'integer', min: 1, value: 50 },
+    
+    // Preview run() - pull, match and decide as usual but write nothing; the run result
+    // carries a report of the RITMs it would create, update, reopen, flag and close
+    PREVIEW_MODE: { type: 'boolean', value: false },
+    
+    // Log level
+    LOG_LEVEL: { type: 'choice', values: ['debug', 'info', 'warn', 'error'], value: 'info' }
+};
+
+QualysIntegrationConfig.prototype = {
+    
+    /**
+     * @param {GSLog} log - Log to report to (optional)
+     */
+    initialize: function(log) {
+        this.log = log || new GSLog('com.qualys.integration', 'QualysIntegrationConfig');
+        this.values = {};    // Setting name -> typed value
+        this.sources = {};   // Setting name -> 'default', 'property' or 'run option'
+        this.problems = {};  // Setting name -> why its value was rejected (reported by validate)
+    },
+    
+    // ============================================================
+    // LOADING
+    // ============================================================
+    
+    /**
+     * Read every setting from its system property
+     * A rejected value keeps the default and is reported by validate()
+     * @returns {QualysIntegrationConfig} this
+     */
+    load: function() {
+        this.problems = {};
+        
+        for (var name in QualysIntegrationConfig.SETTINGS) {
+            this.values[name] = QualysIntegrationConfig.SETTINGS[name].value;
+            this.sources[name] = 'default';
+            
+            var raw = gs.getProperty(this.getPropertyName(name), '');
+            if (raw !== null && String(raw).trim() !== '') {
+                this._set(name, raw, 'property');
+            }
+        }
+        
+        return this;
+    },
+    
+    /**
+     * Apply per-run overrides on top of the loaded values
+     * @param {Object} overrides - Setting name -> value, e.g. { MAX_QIDS_PER_RUN: 50, TEST_MODE: true }
+     * @returns {Array} Names of the settings overridden
+     */
+    override: function(overrides) {
+        var names = [];
+        
+        for (var name in overrides) {
+            if (!QualysIntegrationConfig.SETTINGS.hasOwnProperty(name)) {
+                this.problems[name] = 'run option ' + name + ' is not a setting';
+                continue;
+            }
+            this._set(name, overrides[name], 'run option');
+            names.push(name);
+        }
+        
+        return names;
+    },
+    
+    /**
+     * Parse a raw value into a setting, recording why it was rejected
+     */
+    _set: function(name, raw, source) {
+        var parsed = this._parse(QualysIntegrationConfig.SETTINGS[name], String(raw).trim());
+        
+        if (parsed.error) {
+            this.problems[name] = (source === 'property' ? this.getPropertyName(name) : 'run option ' + name) +
+                                  ': "' + raw + '" ' + parsed.error;
+            return;
+        }
+        
+        this.values[name] = parsed.value;
+        this.sources[name] = source;
+        delete this.problems[name];
+    },
+    
+    /**
+     * Convert text to the type of a setting
+     * @returns {Object} { value } or { error }
+     */
+    _parse: function(setting, text) {
+        if (setting.type === 'boolean') {
+            if (text !== 'true' && text !== 'false') {
+                return { error: 'is not true or false' };
+            }
+            return { value: text === 'true' };
+        }
+        
+        if (setting.type === 'integer') {
+            if (!/^-?\d+$/.test(text)) {
+                return { error: 'is not a whole number' };
+            }
+            var number = parseInt(text, 10);
+            if (setting.min !== undefined && number < setting.min) {
+                return { error: 'is below the minimum of ' + setting.min };
+            }
+            return { value: number };
+        }
+        
+        if (setting.type === 'choice' && setting.values.indexOf(text) === -1) {
+            return { error: 'is not one of ' + setting.values.join(', ') };
+        }
+        
+        // sys_ids are checked against their table by validate()
+        return { value: text };
+    },
+    
+    // ============================================================
+    // VALIDATION
+    // ============================================================
+    
+    /**
+     * Check the settings before the integration calls Qualys or writes anything:
+     * rejected values, unset or placeholder sys_ids, and sys_ids matching no record
+     * @param {Array} names - Settings to check (default all, including unknown run options)
+     * @returns {Array} Error messages, empty when the configuration is usable
+     */
+    validate: function(names) {
+        var errors = [];
+        
+        if (!names) {
+            names = Object.keys(QualysIntegrationConfig.SETTINGS);
+            for (var unknown in this.problems) {
+                if (!QualysIntegrationConfig.SETTINGS.hasOwnProperty(unknown)) {
+                    errors.push(this.problems[unknown]);
+                }
+            }
+        }
+        
+        for (var i = 0; i < names.length; i++) {
+            var name = names[i];
+            if (this.problems[name]) {
+                errors.push(this.problems[name]);
+                continue;
+            }
+            
+            var setting = QualysIntegrationConfig.SETTINGS[name];
+            if (setting.type !== 'sys_id') continue;
+            
+            var value = this.values[name];
+            var label = this.sources[name] === 'run option' ? 'run option ' + name : this.getPropertyName(name);
+            
+            if (!value) {
+                if (setting.required) {
+                    errors.push(label + ' is not set');
+                }
+            } else if (value.indexOf('YOUR_') === 0) {
+                errors.push(label + ' still holds the placeholder ' + value);
+            } else if (!/^[0-9a-f]{32}$/.test(value)) {
+                errors.push(label + ': "' + value + '" is not a sys_id');
+            } else {
+                var gr = new GlideRecord(setting.table);
+                if (!gr.get(value)) {
+                    errors.push(label + ': no ' + setting.table + ' record ' + value);
+                }
+            }
+        }
+        
+        return errors;
+    },
+    
+    // ============================================================
+    // ACCESS
+    // ============================================================
+    
+    /**
+     * Copy the values onto an object (the integration reads them as this.<SETTING>)
+     * @param {Object} target
+     * @param {Array} names - Settings to copy (default all)
+     */
+    applyTo: function(target, names) {
+        names = names || Object.keys(QualysIntegrationConfig.SETTINGS);
+        for (var i = 0; i < names.length; i++) {
+            target[names[i]] = this.values[names[i]];
+        }
+        return target;
+    },
+    
+    get: function(name) {
+        return this.values[name];
+    },
+    
+    getPropertyName: function(name) {
+        return QualysIntegrationConfig.PROPERTY_PREFIX + name.toLowerCase();
+    },
+    
+    /**
+     * Log each setting with its value and where the value came from
+     */
+    logEffective: function() {
+        for (var name in QualysIntegrationConfig.SETTINGS) {
+            var source = this.sources[name] === 'property' ? this.getPropertyName(name) : this.sources[name];
+            this.log.info('Config ' + name + ': ' + this.values[name] + ' (' + source + ')');
+        }
+    },
+    
+    type: 'QualysIntegrationConfig'
+};